@@ -0,0 +1,79 @@
+// Fill in the canonical email (Player.emailCanonical) for players registered
+// before it existed, so duplicate checks also catch their other spellings
+//
+//   node scripts/backfill-email-canonical.js          report what would change
+//   node scripts/backfill-email-canonical.js --apply  write the canonical emails
+//
+// Players already sharing a canonical email are listed for staff to resolve
+// and left without one: the unique index on emailCanonical can't be built
+// until only one player per inbox remains. Re-run once they are resolved.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const EmailRules = require('../shared/emailRules');
+
+const BATCH_SIZE = 500;
+const EMAIL_CANONICAL_GMAIL = process.env.EMAIL_CANONICAL_GMAIL !== 'false';
+
+async function backfillEmailCanonical({ apply }) {
+  const players = mongoose.connection.collection('players');
+  const cursor = players.find(
+    { 'erasure.erasedAt': { $exists: false } },
+    { projection: { playerId: 1, email: 1, emailCanonical: 1 } }
+  );
+
+  const byCanonical = new Map();
+  const pending = [];
+
+  for await (const player of cursor) {
+    if (!player.email) continue;
+
+    const canonical = EmailRules.canonicalizeEmail(player.email, { gmail: EMAIL_CANONICAL_GMAIL });
+    if (player.emailCanonical !== canonical) {
+      pending.push({ _id: player._id, canonical });
+    }
+
+    if (!byCanonical.has(canonical)) byCanonical.set(canonical, []);
+    byCanonical.get(canonical).push(`${player.playerId} (${player.email})`);
+  }
+
+  const duplicates = [...byCanonical].filter(([, group]) => group.length > 1);
+  const changes = pending.filter(({ canonical }) => byCanonical.get(canonical).length === 1);
+
+  console.log(`✏️ ${changes.length} players need a canonical email`);
+  if (duplicates.length > 0) {
+    console.log(`⚠️ ${duplicates.length} inboxes are registered more than once and are skipped until resolved:`);
+    duplicates.forEach(([canonical, group]) => console.log(`   ${canonical}: ${group.join(', ')}`));
+  }
+
+  if (!apply) {
+    console.log('ℹ️ Dry run - nothing was changed. Re-run with --apply to write the changes.');
+    return { changes, duplicates };
+  }
+
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    await players.bulkWrite(changes.slice(i, i + BATCH_SIZE).map(({ _id, canonical }) => ({
+      updateOne: { filter: { _id }, update: { $set: { emailCanonical: canonical } } }
+    })));
+  }
+  console.log(`✅ Backfilled ${changes.length} canonical emails`);
+
+  return { changes, duplicates };
+}
+
+if (require.main === module) {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('❌ Set MONGODB_URI to the database to backfill');
+    process.exit(1);
+  }
+
+  mongoose.connect(uri)
+    .then(() => backfillEmailCanonical({ apply: process.argv.includes('--apply') }))
+    .catch(error => {
+      console.error('❌ Canonical email backfill failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { backfillEmailCanonical };
@@ -0,0 +1,82 @@
+// Fill in the normalized city and district (Player.cityNormalized and
+// districtNormalized) for players registered before the player list filtered
+// on them, so the city and district filters find them
+//
+//   node scripts/backfill-place-names.js          report what would change
+//   node scripts/backfill-place-names.js --apply  write the normalized names
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/playerSearch');
+
+const BATCH_SIZE = 500;
+
+// Helper function to normalize a place name the way the Player schema does
+function normalizedOrNull(value) {
+  return value ? normalizeText(value) : null;
+}
+
+async function backfillPlaceNames({ apply }) {
+  const players = mongoose.connection.collection('players');
+  const cursor = players.find({}, {
+    projection: { city: 1, district: 1, cityNormalized: 1, districtNormalized: 1 }
+  });
+
+  const changes = [];
+  let scanned = 0;
+
+  for await (const player of cursor) {
+    scanned++;
+
+    const cityNormalized = normalizedOrNull(player.city);
+    const districtNormalized = normalizedOrNull(player.district);
+    if ((player.cityNormalized || null) !== cityNormalized ||
+        (player.districtNormalized || null) !== districtNormalized) {
+      changes.push({ _id: player._id, cityNormalized, districtNormalized });
+    }
+  }
+
+  console.log(`📋 Scanned ${scanned} players`);
+  console.log(`✏️ ${changes.length} players need their normalized city or district set`);
+
+  if (!apply) {
+    console.log('ℹ️ Dry run - nothing was changed. Re-run with --apply to write the changes.');
+    return { changes };
+  }
+
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    await players.bulkWrite(changes.slice(i, i + BATCH_SIZE).map(({ _id, ...names }) => {
+      const $set = {};
+      const $unset = {};
+      Object.entries(names).forEach(([field, value]) => {
+        if (value === null) $unset[field] = 1;
+        else $set[field] = value;
+      });
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+      return { updateOne: { filter: { _id }, update } };
+    }));
+  }
+  console.log(`✅ Backfilled normalized place names for ${changes.length} players`);
+
+  return { changes };
+}
+
+if (require.main === module) {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('❌ Set MONGODB_URI to the database to backfill');
+    process.exit(1);
+  }
+
+  mongoose.connect(uri)
+    .then(() => backfillPlaceNames({ apply: process.argv.includes('--apply') }))
+    .catch(error => {
+      console.error('❌ Place name backfill failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { backfillPlaceNames };
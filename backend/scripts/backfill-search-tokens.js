@@ -0,0 +1,84 @@
+// Build the search tokens (Player.searchTokens and searchTokensPrivate) for
+// players registered before search used them, so the player list finds them
+//
+//   node scripts/backfill-search-tokens.js          report what would change
+//   node scripts/backfill-search-tokens.js --apply  write the tokens
+//
+// Erased players keep only their Player ID token, as the erasure leaves them.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { SEARCH_SOURCE_FIELDS, buildSearchTokens } = require('../utils/playerSearch');
+
+const BATCH_SIZE = 500;
+
+// Helper function to compare two token lists regardless of order
+function sameTokens(a, b) {
+  const left = [...(a || [])].sort();
+  const right = [...(b || [])].sort();
+  return left.length === right.length && left.every((token, i) => token === right[i]);
+}
+
+async function backfillSearchTokens({ apply }) {
+  const players = mongoose.connection.collection('players');
+  const projection = Object.fromEntries(
+    [...SEARCH_SOURCE_FIELDS, 'searchTokens', 'searchTokensPrivate', 'erasure'].map(field => [field, 1])
+  );
+  const cursor = players.find({}, { projection });
+
+  const changes = [];
+  let scanned = 0;
+
+  for await (const player of cursor) {
+    scanned++;
+
+    const erased = player.erasure && player.erasure.erasedAt;
+    const tokens = buildSearchTokens(erased ? { playerId: player.playerId } : player);
+    const privateTokens = erased ? undefined : tokens.searchTokensPrivate;
+
+    if (!sameTokens(player.searchTokens, tokens.searchTokens) ||
+        (!erased && !sameTokens(player.searchTokensPrivate, privateTokens)) ||
+        (erased && player.searchTokensPrivate !== undefined)) {
+      changes.push({ _id: player._id, searchTokens: tokens.searchTokens, searchTokensPrivate: privateTokens });
+    }
+  }
+
+  console.log(`📋 Scanned ${scanned} players`);
+  console.log(`✏️ ${changes.length} players need their search tokens rebuilt`);
+
+  if (!apply) {
+    console.log('ℹ️ Dry run - nothing was changed. Re-run with --apply to write the changes.');
+    return { changes };
+  }
+
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    await players.bulkWrite(changes.slice(i, i + BATCH_SIZE).map(({ _id, searchTokens, searchTokensPrivate }) => ({
+      updateOne: {
+        filter: { _id },
+        update: searchTokensPrivate
+          ? { $set: { searchTokens, searchTokensPrivate } }
+          : { $set: { searchTokens }, $unset: { searchTokensPrivate: 1 } }
+      }
+    })));
+  }
+  console.log(`✅ Rebuilt search tokens for ${changes.length} players`);
+
+  return { changes };
+}
+
+if (require.main === module) {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('❌ Set MONGODB_URI to the database to backfill');
+    process.exit(1);
+  }
+
+  mongoose.connect(uri)
+    .then(() => backfillSearchTokens({ apply: process.argv.includes('--apply') }))
+    .catch(error => {
+      console.error('❌ Search token backfill failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { backfillSearchTokens };
@@ -0,0 +1,140 @@
+// Normalise stored player phone numbers to E.164 (see shared/playerFields.js)
+//
+//   node scripts/migrate-phone-numbers.js          report what would change
+//   node scripts/migrate-phone-numbers.js --apply  rewrite the numbers
+//
+// Players whose numbers end up the same are collisions: they are listed and
+// left untouched for staff to resolve. The unique phone index is only built
+// with --apply once no collisions are left, so run again after resolving them.
+//
+// Run this before deploying the server with the unique phone index. Each
+// rewritten number also gets its private search tokens rebuilt, as phone
+// search matches the stored E.164 digits.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const PlayerFields = require('../shared/playerFields');
+const { buildSearchTokens } = require('../utils/playerSearch');
+
+const BATCH_SIZE = 500;
+
+// Helper function to swap a plain phone index for a unique one
+async function ensureUniquePhoneIndex(players) {
+  const indexes = await players.indexes();
+  const phoneIndex = indexes.find(index =>
+    Object.keys(index.key).length === 1 && index.key.phone === 1);
+
+  if (phoneIndex && phoneIndex.unique) return false;
+  if (phoneIndex) await players.dropIndex(phoneIndex.name);
+  await players.createIndex({ phone: 1 }, { unique: true });
+  return true;
+}
+
+async function migratePhoneNumbers({ apply }) {
+  const players = mongoose.connection.collection('players');
+  const cursor = players.find({}, { projection: { playerId: 1, phone: 1, email: 1, erasure: 1 } });
+
+  const byPhone = new Map();
+  const invalid = [];
+  let scanned = 0;
+  let erased = 0;
+
+  for await (const player of cursor) {
+    scanned++;
+
+    // Erased records hold a placeholder that is unique by construction
+    if (player.erasure && player.erasure.erasedAt) {
+      erased++;
+      continue;
+    }
+
+    const phone = player.phone ? String(player.phone) : '';
+    const normalized = phone ? PlayerFields.normalizeField('phone', phone) : '';
+    const problem = PlayerFields.checkField('phone', phone);
+    if (problem) {
+      invalid.push({ playerId: player.playerId, phone, problem: problem.message });
+    }
+
+    if (!byPhone.has(normalized)) byPhone.set(normalized, []);
+    byPhone.get(normalized).push({ _id: player._id, playerId: player.playerId, email: player.email, phone, normalized });
+  }
+
+  const collisions = [];
+  const changes = [];
+  byPhone.forEach((group, normalized) => {
+    if (group.length > 1) {
+      collisions.push({ phone: normalized || '(missing)', players: group.map(({ playerId, phone }) => ({ playerId, phone })) });
+    } else if (group[0].phone !== normalized) {
+      changes.push(group[0]);
+    }
+  });
+
+  console.log(`📋 Scanned ${scanned} players (${erased} erased, skipped)`);
+  console.log(`✏️ ${changes.length} phone numbers to normalise`);
+  changes.slice(0, 20).forEach(({ playerId, phone, normalized }) =>
+    console.log(`   ${playerId}: "${phone}" -> ${normalized}`));
+  if (changes.length > 20) console.log(`   ... and ${changes.length - 20} more`);
+
+  if (invalid.length > 0) {
+    console.log(`⚠️ ${invalid.length} numbers are not valid and need correcting by hand:`);
+    invalid.forEach(({ playerId, phone, problem }) => console.log(`   ${playerId}: "${phone}" - ${problem}`));
+  }
+
+  if (collisions.length > 0) {
+    console.log(`❌ ${collisions.length} collisions - these players share a number and were left as they are:`);
+    collisions.forEach(({ phone, players: group }) => {
+      console.log(`   ${phone}: ${group.map(({ playerId, phone: raw }) => `${playerId} ("${raw}")`).join(', ')}`);
+    });
+  }
+
+  if (!apply) {
+    console.log('ℹ️ Dry run - nothing was changed. Re-run with --apply to write the changes.');
+    return { changes, invalid, collisions };
+  }
+
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    await players.bulkWrite(changes.slice(i, i + BATCH_SIZE).map(({ _id, email, phone, normalized }) => ({
+      // Matched on the old value so an edit made meanwhile is not overwritten
+      updateOne: {
+        filter: { _id, phone },
+        update: {
+          $set: {
+            phone: normalized,
+            searchTokensPrivate: buildSearchTokens({ email, phone: normalized }).searchTokensPrivate
+          }
+        }
+      }
+    })));
+  }
+  console.log(`✅ Normalised ${changes.length} phone numbers and rebuilt their search tokens`);
+
+  if (collisions.length > 0) {
+    console.log('⚠️ Unique phone index not built - resolve the collisions above and run again');
+  } else if (await ensureUniquePhoneIndex(players)) {
+    console.log('✅ Unique phone index built');
+  } else {
+    console.log('✅ Unique phone index already in place');
+  }
+
+  return { changes, invalid, collisions };
+}
+
+if (require.main === module) {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('❌ Set MONGODB_URI to the database to migrate');
+    process.exit(1);
+  }
+
+  mongoose.connect(uri)
+    .then(() => migratePhoneNumbers({ apply: process.argv.includes('--apply') }))
+    .then(({ collisions }) => {
+      if (collisions.length > 0) process.exitCode = 2;
+    })
+    .catch(error => {
+      console.error('❌ Phone number migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { migratePhoneNumbers };
@@ -1,14 +1,83 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const multer = require('multer');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const path = require('path');
 require('dotenv').config();
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signIdCardToken,
+  verifyIdCardToken,
+  hashToken,
+  getExpiresIn,
+  getRefreshTokenExpiry
+} = require('./utils/tokens');
+const { sendMail } = require('./utils/mailer');
+const { sendSms } = require('./utils/sms');
+const { getStorage } = require('./utils/storage');
+const {
+  supportsTransactions,
+  periodCounterId,
+  raiseSequence,
+  saveWithSequence,
+  currentSequence,
+  findSequenceGaps
+} = require('./utils/playerSequence');
+const { getPlayerIdFormat } = require('./utils/playerIdFormat');
+const { looksLikePlayerId, identifierQuery } = require('./utils/playerIdentifiers');
+const {
+  createRateLimiter,
+  setRateLimitHeaders,
+  rateLimit,
+  clientAddressKey
+} = require('./utils/rateLimit');
+const { renderPlayerIdCard } = require('./utils/idCard');
+const { writeCsv, writeXlsx } = require('./utils/spreadsheet');
+const {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  toSortObject,
+  buildKeysetFilter
+} = require('./utils/pagination');
+const {
+  SEARCH_SOURCE_FIELDS,
+  normalizeText,
+  buildSearchTokens,
+  parseSearchTerms,
+  buildSearchFilter,
+  buildSearchScore
+} = require('./utils/playerSearch');
+const PlayerFields = require('./shared/playerFields');
+const PinCodes = require('./shared/pinCodes');
+const EmailRules = require('./shared/emailRules');
+const PasswordPolicy = require('./shared/passwordPolicy');
+const {
+  STAFF_ROLES,
+  PLAYER_PII_FIELDS,
+  hasPermission,
+  getPermissions,
+  getHiddenListParams
+} = require('./utils/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app (load balancer, CDN) whose X-Forwarded-For entry
+// is trusted - req.ip is the address the outermost of them saw. 0 trusts none.
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS || '0', 10);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
+// Public URL of the registration frontend (used in emailed links)
+const PUBLIC_APP_URL = (process.env.PUBLIC_APP_URL || 'https://reg.idcs.in').replace(/\/$/, '');
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -22,6 +91,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
+// Shared player field rules, loaded by the registration form
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
 app.use(express.static('./'));
 
 // Security headers
@@ -49,9 +120,13 @@ mongoose.connect(MONGODB_URI, {
     serverSelectionTimeoutMS: 5000,
     socketTimeoutMS: 45000,
 })
-.then(() => {
+.then(async () => {
     console.log('✅ Connected to MongoDB successfully');
     console.log(`📊 Database: ${mongoose.connection.name}`);
+    console.log(await supportsTransactions(mongoose.connection)
+      ? '🔒 Player IDs are allocated in transactions'
+      : '⚠️ MongoDB is standalone - Player IDs use compensating release instead of transactions');
+    await ensureBootstrapAdmin();
 })
 .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -66,6 +141,18 @@ const counterSchema = new mongoose.Schema({
 
 const Counter = mongoose.model('Counter', counterSchema);
 
+// Gmail ignores dots and "+tag" suffixes, so by default ravi.kumar+club@gmail.com
+// counts as ravikumar@gmail.com when looking for duplicate registrations
+const EMAIL_CANONICAL_GMAIL = process.env.EMAIL_CANONICAL_GMAIL !== 'false';
+
+// Helper function to get the form of an email used for duplicate detection
+function getCanonicalEmail(email) {
+  return EmailRules.canonicalizeEmail(email, { gmail: EMAIL_CANONICAL_GMAIL });
+}
+
+// Schema paths for the fields players fill in, derived from the shared field spec
+const playerFieldPaths = PlayerFields.toSchemaPaths();
+
 // Enhanced Player Schema with new ID logic
 const playerSchema = new mongoose.Schema({
   // Unique Identifiers - NEW LOGIC
@@ -73,9 +160,9 @@ const playerSchema = new mongoose.Schema({
     type: String,
     unique: true,
     required: true,
+    uppercase: true,
     index: true
-    // Format: idsc + sequential number + ddmmyyyy
-    // Example: idsc0104102025, idsc0204102025
+    // Format: see utils/playerIdFormat.js, e.g. IDSC0104102025
   },
   userId: {
     type: String,
@@ -91,158 +178,68 @@ const playerSchema = new mongoose.Schema({
     index: true
   },
 
-  // Personal Information
-  firstName: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50
-  },
-  middleName: {
-    type: String,
-    trim: true,
-    maxlength: 50
-  },
-  lastName: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50
-  },
-  dateOfBirth: {
-    type: Date,
-    required: true,
-    validate: {
-      validator: function(value) {
-        const age = Math.floor((Date.now() - value.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
-        return age >= 10 && age <= 65;
-      },
-      message: 'Age must be between 10 and 65 years'
-    }
-  },
-  gender: {
-    type: String,
-    required: true,
-    enum: ['male', 'female', 'other'],
-    lowercase: true
+  // Number within the day/year when Player IDs restart each period
+  // (equals sequenceNumber when they never reset)
+  periodSequence: {
+    type: Number
   },
 
+  // Personal Information - rules for these fields come from shared/playerFields.js
+  firstName: playerFieldPaths.firstName,
+  middleName: playerFieldPaths.middleName,
+  lastName: playerFieldPaths.lastName,
+  dateOfBirth: playerFieldPaths.dateOfBirth,
+  gender: playerFieldPaths.gender,
+
   // Contact Information
-  email: {
-    type: String,
-    required: true,
-    // unique: true,
-    lowercase: true,
-    trim: true,
-    index: true,
-    validate: {
-      validator: function(email) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-      },
-      message: 'Please enter a valid email address'
-    }
-  },
-  phone: {
+  email: { ...playerFieldPaths.email, index: true },
+  // Set from email on save (see getCanonicalEmail) to catch the same inbox twice.
+  // Existing databases: run `npm run migrate:email-canonical -- --apply` and
+  // resolve the duplicate inboxes it lists before deploying this, or the
+  // unique index can't be built. Erased players have none, hence sparse.
+  emailCanonical: {
     type: String,
-    required: true,
-    // unique: true,
-    trim: true,
-    index: true,
-    validate: {
-      validator: function(phone) {
-        return /^[+]?[\d\s\-\(\)]{10,15}$/.test(phone);
-      },
-      message: 'Please enter a valid phone number'
-    }
+    unique: true,
+    sparse: true
   },
+  // Stored in E.164, so one number can only be registered once however it was typed.
+  // Existing databases: run `npm run migrate:phones -- --apply` BEFORE deploying
+  // this. The unique index can't be built over the old, unnormalised numbers
+  // until then, and the migration also rebuilds searchTokensPrivate from the
+  // new numbers so phone search keeps working.
+  phone: { ...playerFieldPaths.phone, unique: true },
 
   // Address Information
-  streetAddress: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 200
-  },
-  city: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50,
-    index: true
-  },
-  state: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50,
-    index: true
-  },
-  postalCode: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 10
-  },
-  country: {
-    type: String,
-    default: 'India',
-    trim: true,
-    maxlength: 50
-  },
+  streetAddress: playerFieldPaths.streetAddress,
+  city: { ...playerFieldPaths.city, index: true },
+  district: playerFieldPaths.district,
+  state: { ...playerFieldPaths.state, index: true },
+  postalCode: playerFieldPaths.postalCode,
+  country: playerFieldPaths.country,
 
   // Sports Information
-  primarySport: {
-    type: String,
-    default: 'Cricket',
-    trim: true,
-    maxlength: 30
-  },
-  role: {
-    type: String,
-    // required: true,
-    enum: ['Batsman', 'Bowler', 'All Rounder', 'Keeper Batsman'],
-    index: true
-  },
-  battingOrderPreference: {
-    type: String,
-    // required: true,
-    enum: ['Opening', 'Top Order', 'Middle Order', 'Lower Order']
-  },
-  bowlingStyle: {
-    type: String,
-    enum: ['Fast', 'Medium', 'Spin', 'None'],
-    default: 'None'
-  },
-  battingStyle: {
-    type: String,
-    // required: true,
-    enum: ['Right Handed Bat', 'Left Handed Bat']
-  },
-  bowlingArm: {
-    type: String,
-    enum: ['Right-arm Fast', 'Left-arm Fast', 'Right-arm Spin', 'Left-arm Spin']
-  },
+  primarySport: playerFieldPaths.primarySport,
+  role: { ...playerFieldPaths.role, index: true },
+  battingOrderPreference: playerFieldPaths.battingOrderPreference,
+  bowlingStyle: playerFieldPaths.bowlingStyle,
+  battingStyle: playerFieldPaths.battingStyle,
+  bowlingArm: playerFieldPaths.bowlingArm,
 
   // Account Information
-  username: {
-    type: String,
-    required: true,
-    // unique: true,
-    trim: true,
-    minlength: 3,
-    maxlength: 30,
-    index: true,
-    validate: {
-      validator: function(username) {
-        return /^[a-zA-Z0-9_]+$/.test(username);
-      },
-      message: 'Username can only contain letters, numbers, and underscores'
-    }
+  // Unique in the database too, so two registrations racing for the same name can't both win
+  username: { ...playerFieldPaths.username, unique: true },
+  password: playerFieldPaths.password,
+  passwordChangedAt: {
+    type: Date
   },
-  password: {
-    type: String,
-    required: true,
-    minlength: 6
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date,
+    requestedAt: Date
   },
 
   // Registration Metadata
@@ -262,10 +259,18 @@ const playerSchema = new mongoose.Schema({
   // Status and Activity
   status: {
     type: String,
-    default: 'Active',
-    enum: ['Active', 'Inactive', 'Suspended', 'Pending'],
+    default: 'Pending',
+    enum: ['Active', 'Inactive', 'Suspended', 'Pending', 'Rejected'],
     index: true
   },
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: { type: String, required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
   lastLogin: {
     type: Date
   },
@@ -273,19 +278,78 @@ const playerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
 
   // Verification Status
   emailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerification: {
+    lastSentAt: Date,
+    windowStartedAt: Date,
+    sentCount: { type: Number, default: 0 }
+  },
   phoneVerified: {
     type: Boolean,
     default: false
   },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  phoneVerification: {
+    codeHash: String,
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+    lastSentAt: Date,
+    windowStartedAt: Date,
+    sentCount: { type: Number, default: 0 }
+  },
   documentsVerified: {
     type: Boolean,
     default: false
+  },
+  documentsVerifiedAt: {
+    type: Date
+  },
+  documentsStatus: {
+    type: String,
+    default: 'Not Submitted',
+    enum: ['Not Submitted', 'Pending Review', 'Verified', 'Rejected'],
+    index: true
+  },
+
+  // Words the player can be found by (see utils/playerSearch.js), kept up to
+  // date on save. Email and phone go in the private list.
+  searchTokens: {
+    type: [String],
+    index: true
+  },
+  searchTokensPrivate: {
+    type: [String],
+    index: true
+  },
+
+  // City and district lower-cased without accents (normalizeText), kept up to
+  // date on save so the player list can filter on them exactly, through an
+  // index. Older players: npm run migrate:place-names -- --apply
+  cityNormalized: String,
+  districtNormalized: String,
+
+  // Set once personal data has been erased on request
+  erasure: {
+    erasedAt: Date,
+    erasedBy: String,
+    reason: String
   }
 }, {
   timestamps: true,
@@ -293,17 +357,29 @@ const playerSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Case-insensitive ordering for player names - the name sort and its index
+// must use the same collation for the index to be used
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
 // Indexes for better performance
 playerSchema.index({ playerId: 1 });
 playerSchema.index({ userId: 1 });
 playerSchema.index({ sequenceNumber: 1 });
 playerSchema.index({ email: 1 });
-playerSchema.index({ username: 1 });
-playerSchema.index({ phone: 1 });
 playerSchema.index({ city: 1, state: 1 });
+playerSchema.index({ state: 1, district: 1 });
 playerSchema.index({ role: 1 });
 playerSchema.index({ status: 1 });
-playerSchema.index({ registrationDate: -1 });
+playerSchema.index({ registrationDate: -1, sequenceNumber: -1 });
+playerSchema.index({ dateOfBirth: -1, sequenceNumber: 1 });
+playerSchema.index({ lastName: 1, firstName: 1, sequenceNumber: 1 }, { collation: NAME_COLLATION });
+// Common selector filters on the player list (equality fields first, then the sort or range)
+playerSchema.index({ status: 1, role: 1, sequenceNumber: 1 });
+playerSchema.index({ status: 1, gender: 1, dateOfBirth: -1 });
+playerSchema.index({ role: 1, battingStyle: 1, bowlingStyle: 1, bowlingArm: 1 });
+playerSchema.index({ status: 1, registrationDate: -1, sequenceNumber: -1 });
+playerSchema.index({ cityNormalized: 1, registrationDate: -1, sequenceNumber: -1 });
+playerSchema.index({ districtNormalized: 1, registrationDate: -1, sequenceNumber: -1 });
 
 // Virtual for full name
 playerSchema.virtual('fullName').get(function() {
@@ -315,10 +391,26 @@ playerSchema.virtual('fullName').get(function() {
   return fullName;
 });
 
-// Virtual for age calculation
+// Virtual for age calculation (same calendar rule as registration validation)
 playerSchema.virtual('age').get(function() {
   if (!this.dateOfBirth) return null;
-  return Math.floor((Date.now() - this.dateOfBirth.getTime()) / (365.25 * 24 * 60 * 60 * 1000));
+  return PlayerFields.calculateAge(this.dateOfBirth);
+});
+
+// Keep the canonical email, normalized place names and search tokens in step
+// with the fields they come from
+playerSchema.pre('validate', function(next) {
+  if (this.isModified('email') && this.email) {
+    this.emailCanonical = getCanonicalEmail(this.email);
+  }
+  if (this.isModified('city') || this.isModified('district')) {
+    this.cityNormalized = this.city ? normalizeText(this.city) : undefined;
+    this.districtNormalized = this.district ? normalizeText(this.district) : undefined;
+  }
+  if (SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    this.set(buildSearchTokens(this));
+  }
+  next();
 });
 
 // Pre-save middleware to hash password
@@ -339,387 +431,3662 @@ playerSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-const Player = mongoose.model('Player', playerSchema);
-
-// Helper function to get next sequence number
-async function getNextSequence() {
-  const counter = await Counter.findByIdAndUpdate(
-    'player_sequence',
-    { $inc: { sequence_value: 1 } },
-    { new: true, upsert: true }
-  );
-  return counter.sequence_value;
-}
-
-// Helper function to generate unique Player ID with NEW LOGIC
-async function generateUniquePlayerId() {
-  try {
-    const sequenceNumber = await getNextSequence();
+// Virtual for account lockout after repeated failed logins
+playerSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
 
-    // Get current date in ddmmyyyy format
-    const now = new Date();
-    const day = String(now.getDate()).padStart(2, '0');
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const year = now.getFullYear();
-    const dateStr = `${day}${month}${year}`;
+const Player = mongoose.model('Player', playerSchema);
 
-    // Format sequence number with leading zeros (2 digits minimum)
-    const seqStr = String(sequenceNumber).padStart(2, '0');
+// A failed index build (such as the unique phone index before the phone
+// migration has run) would otherwise only show up in the database log
+Player.on('index', (error) => {
+  if (error) console.error('❌ Player index build failed:', error.message);
+});
 
-    // Create Player ID: idsc + sequence + ddmmyyyy
-    const playerId = `idsc${seqStr}${dateStr}`.toUpperCase();
+// Staff schema - admin/staff accounts that manage registrations
+const staffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+      },
+      message: 'Please enter a valid email address'
+    }
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: STAFF_ROLES
+  },
+  status: {
+    type: String,
+    default: 'Active',
+    enum: ['Active', 'Disabled']
+  },
+  lastLogin: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
 
-    console.log(`🆔 Generated Player ID: ${playerId} (Sequence: ${sequenceNumber}, Date: ${dateStr})`);
+// Staff passwords are hashed exactly like player passwords
+staffSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
 
-    return { playerId, sequenceNumber };
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
   } catch (error) {
-    console.error('Error generating Player ID:', error);
-    throw new Error('Failed to generate Player ID: ' + error.message);
-  }
-}
-
-// Helper function to generate unique User ID (keeping existing logic)
-async function generateUniqueUserId(userData) {
-  let userId;
-  let isUnique = false;
-  let attempts = 0;
-  const maxAttempts = 5;
-
-  while (!isUnique && attempts < maxAttempts) {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substring(2, 8);
-    userId = `USER_${timestamp}_${random}`.toUpperCase();
-
-    const existingUser = await Player.findOne({ userId });
-    if (!existingUser) {
-      isUnique = true;
-    }
-    attempts++;
+    next(error);
   }
+});
 
-  if (!isUnique) {
-    throw new Error('Failed to generate unique User ID');
-  }
+staffSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
 
-  return userId;
-}
+staffSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
 
-// Validate unique fields before saving
-async function validateUniqueFields(data, excludeId = null) {
-  const errors = [];
+const Staff = mongoose.model('Staff', staffSchema);
 
-  // Check email uniqueness
-  const emailQuery = { email: data.email.toLowerCase() };
-  if (excludeId) emailQuery._id = { $ne: excludeId };
+// Session schema - one document per issued refresh token family
+const sessionSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'subjectType',
+    required: true,
+    index: true
+  },
+  subjectType: {
+    type: String,
+    required: true,
+    enum: ['Player', 'Staff']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
 
-  const existingEmail = await Player.findOne(emailQuery);
-  if (existingEmail) {
-    errors.push('Email address is already registered');
-  }
+// Let MongoDB purge expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-  // Check username uniqueness
-  const usernameQuery = { username: data.username };
-  if (excludeId) usernameQuery._id = { $ne: excludeId };
+const Session = mongoose.model('Session', sessionSchema);
 
-  const existingUsername = await Player.findOne(usernameQuery);
-  if (existingUsername) {
-    errors.push('Username is already taken');
+// Idempotency key schema - remembers the response to a request so that
+// retries within the window replay it instead of running again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    default: 'processing',
+    enum: ['processing', 'completed']
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
   }
+}, {
+  timestamps: true
+});
 
-  // Check phone uniqueness
-  const phoneQuery = { phone: data.phone };
-  if (excludeId) phoneQuery._id = { $ne: excludeId };
-
-  const existingPhone = await Player.findOne(phoneQuery);
-  if (existingPhone) {
-    errors.push('Phone number is already registered');
-  }
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-  return errors;
-}
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
 
-// Routes
+const IDEMPOTENCY_WINDOW_HOURS = parseInt(process.env.IDEMPOTENCY_WINDOW_HOURS || '24', 10);
 
-// Serve the main registration page
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'registration.html'));
-});
+// Identity document schema - age-proof uploads awaiting admin review
+const DOCUMENT_TYPES = ['birth_certificate', 'school_id', 'government_id'];
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
+const playerDocumentSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true,
+    index: true
+  },
+  documentType: {
+    type: String,
+    required: true,
+    enum: DOCUMENT_TYPES
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    default: 'Pending',
+    enum: ['Pending', 'Approved', 'Rejected'],
+    index: true
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+playerDocumentSchema.index({ status: 1, createdAt: 1 });
+
+const PlayerDocument = mongoose.model('PlayerDocument', playerDocumentSchema);
+
+// Accepted document formats, keyed by MIME type, with their file signatures
+const DOCUMENT_FORMATS = {
+  'application/pdf': { extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  'image/jpeg': { extension: '.jpg', signature: [0xff, 0xd8, 0xff] },
+  'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47] }
+};
+const DOCUMENT_MAX_SIZE_MB = parseInt(process.env.DOCUMENT_MAX_SIZE_MB || '5', 10);
+
+// Review queue page sizes (GET /api/admin/documents)
+const DOCUMENT_PAGE_SIZE = 50;
+const DOCUMENT_PAGE_MAX = 100;
+
+// Uploads are held in memory only until they are checked and handed to storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_FORMATS[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'document'));
+    }
+    cb(null, true);
+  }
+});
+
+// Login lockout settings
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS || '5', 10);
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10);
+
+// Verification email throttling
+const EMAIL_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_RESEND_COOLDOWN_SECONDS || '60', 10);
+const EMAIL_DAILY_SEND_LIMIT = parseInt(process.env.EMAIL_DAILY_SEND_LIMIT || '5', 10);
+
+// Password reset and reuse settings
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const PASSWORD_RESET_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS || '60', 10);
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10);
+
+// Password policy (shared/passwordPolicy.js); unset PASSWORD_* options keep
+// the defaults there. The form reads it from GET /api/password-policy.
+const passwordPolicyFlag = (name) =>
+  process.env[name] === undefined ? undefined : process.env[name] === 'true';
+PasswordPolicy.setPolicy(Object.fromEntries(Object.entries({
+  minLength: process.env.PASSWORD_MIN_LENGTH ? parseInt(process.env.PASSWORD_MIN_LENGTH, 10) : undefined,
+  maxLength: process.env.PASSWORD_MAX_LENGTH ? parseInt(process.env.PASSWORD_MAX_LENGTH, 10) : undefined,
+  requireLowercase: passwordPolicyFlag('PASSWORD_REQUIRE_LOWERCASE'),
+  requireUppercase: passwordPolicyFlag('PASSWORD_REQUIRE_UPPERCASE'),
+  requireDigit: passwordPolicyFlag('PASSWORD_REQUIRE_DIGIT'),
+  requireSymbol: passwordPolicyFlag('PASSWORD_REQUIRE_SYMBOL'),
+  rejectCommon: passwordPolicyFlag('PASSWORD_REJECT_COMMON'),
+  rejectPersonalInfo: passwordPolicyFlag('PASSWORD_REJECT_PERSONAL_INFO')
+}).filter(([, value]) => value !== undefined)));
+
+// Helper function to check a new password against the policy and the
+// owner's own details; returns { code, message } or null
+function checkNewPassword(password, personal) {
+  const result = PasswordPolicy.checkPassword(password, { personal });
+  return result.valid ? null : { code: result.code, message: result.message };
+}
+
+// Mobile OTP settings
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_DAILY_SEND_LIMIT = parseInt(process.env.OTP_DAILY_SEND_LIMIT || '5', 10);
+
+// Helper function to preview the next Player ID without allocating it
+async function previewNextPlayerId(date = new Date()) {
+  const idFormat = getPlayerIdFormat();
+  const periodKey = idFormat.periodKey(date);
+  const lastSequence = await currentSequence(Counter);
+  const lastPeriodSequence = periodKey ? await currentSequence(Counter, periodKey) : lastSequence;
+
+  return {
+    currentSequence: lastSequence,
+    nextSequenceNumber: lastSequence + 1,
+    currentPeriodSequence: lastPeriodSequence,
+    nextPlayerId: idFormat.format({ sequence: lastPeriodSequence + 1, date }),
+    playerIdFormat: idFormat.describe()
+  };
+}
+
+// Helper function to find the highest sequence part used by Player IDs issued
+// in a period. Seeds the period's counter on first use; only IDs of that
+// period are read, once per period.
+async function highestIssuedInPeriod(periodKey) {
+  const pattern = getPlayerIdFormat().periodIdPattern(periodKey);
+  let highest = 0;
+
+  const cursor = Player.find({ playerId: pattern }, { playerId: 1 }).lean().cursor();
+  for await (const { playerId } of cursor) {
+    const match = pattern.exec(playerId);
+    if (match) highest = Math.max(highest, Number(match[1]));
+  }
+  return highest;
+}
+
+// Helper function to generate unique User ID (keeping existing logic)
+async function generateUniqueUserId(userData) {
+  let userId;
+  let isUnique = false;
+  let attempts = 0;
+  const maxAttempts = 5;
+
+  while (!isUnique && attempts < maxAttempts) {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    userId = `USER_${timestamp}_${random}`.toUpperCase();
+
+    const existingUser = await Player.findOne({ userId });
+    if (!existingUser) {
+      isUnique = true;
+    }
+    attempts++;
+  }
+
+  if (!isUnique) {
+    throw new Error('Failed to generate unique User ID');
+  }
+
+  return userId;
+}
+
+// Messages for a value another player already has, by field
+const DUPLICATE_FIELD_MESSAGES = {
+  email: 'Email address is already registered',
+  username: 'Username is already taken',
+  phone: 'Phone number is already registered',
+  playerId: 'Player ID is already in use',
+  userId: 'User ID is already in use'
+};
+
+// Validate unique fields before saving. Only the fields present in `data`
+// are checked; conflicts come back as a field -> message map.
+async function validateUniqueFields(data, excludeId = null) {
+  const errors = {};
+
+  // Check email uniqueness, including other spellings of the same inbox
+  if (data.email) {
+    const emailQuery = {
+      $or: [
+        { email: data.email.toLowerCase() },
+        { emailCanonical: getCanonicalEmail(data.email) }
+      ]
+    };
+    if (excludeId) emailQuery._id = { $ne: excludeId };
+
+    const existingEmail = await Player.findOne(emailQuery);
+    if (existingEmail) {
+      errors.email = DUPLICATE_FIELD_MESSAGES.email;
+    }
+  }
+
+  // Check username uniqueness
+  if (data.username) {
+    const usernameQuery = { username: data.username };
+    if (excludeId) usernameQuery._id = { $ne: excludeId };
+
+    const existingUsername = await Player.findOne(usernameQuery);
+    if (existingUsername) {
+      errors.username = DUPLICATE_FIELD_MESSAGES.username;
+    }
+  }
+
+  // Check Player ID and User ID uniqueness (staff can change both)
+  if (data.playerId) {
+    const playerIdQuery = { playerId: data.playerId };
+    if (excludeId) playerIdQuery._id = { $ne: excludeId };
+
+    if (await Player.exists(playerIdQuery)) {
+      errors.playerId = DUPLICATE_FIELD_MESSAGES.playerId;
+    }
+  }
+
+  if (data.userId) {
+    const userIdQuery = { userId: data.userId };
+    if (excludeId) userIdQuery._id = { $ne: excludeId };
+
+    if (await Player.exists(userIdQuery)) {
+      errors.userId = DUPLICATE_FIELD_MESSAGES.userId;
+    }
+  }
+
+  // Check phone uniqueness
+  if (data.phone) {
+    const phoneQuery = { phone: PlayerFields.normalizeField('phone', data.phone) };
+    if (excludeId) phoneQuery._id = { $ne: excludeId };
+
+    const existingPhone = await Player.findOne(phoneQuery);
+    if (existingPhone) {
+      errors.phone = DUPLICATE_FIELD_MESSAGES.phone;
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to name the field behind a duplicate key error (E11000).
+// The checks above run before saving, so these are the requests that raced
+// past them; emailCanonical is reported as the email it was derived from.
+function getDuplicateKeyField(error) {
+  const field = Object.keys(error.keyPattern || {})[0];
+  return field === 'emailCanonical' ? 'email' : field;
+}
+
+// Error codes in the standard error envelope:
+//   { success: false, code, message, errors: { field: message }, fieldCodes: { field: code } }
+// `errors` and `fieldCodes` are only present for problems tied to specific fields.
+const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  DUPLICATE_VALUE: 'DUPLICATE_VALUE',
+  ID_CONFLICT: 'ID_CONFLICT',
+  NOT_FOUND: 'NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  SESSION_ENDED: 'SESSION_ENDED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_INACTIVE: 'ACCOUNT_INACTIVE',
+  FORBIDDEN: 'FORBIDDEN',
+  PLAYER_ERASED: 'PLAYER_ERASED',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION'
+};
+
+// Helper function to send an error in the standard envelope. Field codes
+// default to `fallbackFieldCode` for fields without a more specific one.
+function sendError(res, status, code, message, { errors, fieldCodes = {}, fallbackFieldCode = 'invalid', ...extra } = {}) {
+  const body = { success: false, code, message, ...extra };
+
+  if (errors && Object.keys(errors).length > 0) {
+    body.errors = errors;
+    body.fieldCodes = Object.fromEntries(
+      Object.keys(errors).map(field => [field, fieldCodes[field] || fallbackFieldCode])
+    );
+  }
+
+  return res.status(status).json(body);
+}
+
+// Helper function to turn a Mongoose ValidationError into field messages and codes
+function describeValidationError(error) {
+  const errors = {};
+  const fieldCodes = {};
+
+  Object.entries(error.errors).forEach(([field, err]) => {
+    errors[field] = err.message;
+    fieldCodes[field] = err.kind === 'required' ? 'required' : 'invalid';
+  });
+
+  return { errors, fieldCodes };
+}
+
+// Helper function to resolve the client IP address (see TRUST_PROXY_HOPS)
+function getClientIp(req) {
+  return req.ip || 'unknown';
+}
+
+// Helper function to find a player by username, email or Player ID - only
+// the one field the identifier's shape names
+async function findPlayerByIdentifier(identifier) {
+  return Player.findOne(identifierQuery(identifier));
+}
+
+// Helper function to reject a username shaped like a Player ID, which sign-in
+// would read as a Player ID. Returns { code, message } or null.
+function checkUsernameShape(username) {
+  return username && looksLikePlayerId(username)
+    ? { code: 'looks_like_player_id', message: 'Username cannot look like a Player ID' }
+    : null;
+}
+
+// Helper function to record a failed login and lock the account when needed
+async function registerFailedLogin(Model, account) {
+  // Counted in the database, so parallel guesses can't all read the same count
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  ).lean();
+
+  if (updated && updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    await Model.updateOne(
+      { _id: account._id, failedLoginAttempts: { $gte: MAX_LOGIN_ATTEMPTS } },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000)
+        }
+      }
+    );
+    console.log(`🔒 Account locked after ${updated.failedLoginAttempts} failed logins: ${account.playerId || account.email}`);
+  }
+}
+
+// Session kinds carried in tokens and the models behind them
+const SESSION_SUBJECTS = {
+  player: { model: () => Player, subjectType: 'Player' },
+  staff: { model: () => Staff, subjectType: 'Staff' }
+};
+
+// Helper function to create a session and issue its token pair
+async function issueSessionTokens(account, req, kind = 'player') {
+  const session = new Session({
+    subject: account._id,
+    subjectType: SESSION_SUBJECTS[kind].subjectType,
+    refreshTokenHash: 'pending',
+    expiresAt: getRefreshTokenExpiry(),
+    ip: getClientIp(req),
+    userAgent: req.headers['user-agent'] || 'unknown'
+  });
+
+  const tokenClaims = { subject: account._id, sessionId: session._id.toString(), kind };
+  const accessToken = signAccessToken(tokenClaims);
+  const refreshToken = signRefreshToken(tokenClaims);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: getExpiresIn(accessToken)
+  };
+}
+
+// Helper function to check that a token's session is still live
+async function findLiveSession(payload) {
+  const session = await Session.findById(payload.sid);
+  const subject = SESSION_SUBJECTS[payload.kind];
+
+  if (!session || !subject || session.revokedAt ||
+      session.subjectType !== subject.subjectType || String(session.subject) !== payload.sub) {
+    return null;
+  }
+
+  return session;
+}
+
+// Helper function to build the public view of a logged-in staff member
+function toAuthStaff(staff) {
+  return {
+    id: staff._id,
+    name: staff.name,
+    email: staff.email,
+    role: staff.role,
+    status: staff.status,
+    permissions: getPermissions(staff.role),
+    lastLogin: staff.lastLogin
+  };
+}
+
+// Helper function to shape a player for their own profile
+function toPlayerProfile(player) {
+  const view = player.toJSON();
+  PRIVATE_PLAYER_FIELD_NAMES.forEach(field => delete view[field]);
+  return view;
+}
+
+// Helper function to shape a player for a staff member, hiding PII from
+// roles without players:read-pii
+function toStaffPlayerView(player, staff) {
+  const view = toPlayerProfile(player);
+
+  if (!hasPermission(staff.role, 'players:read-pii')) {
+    PLAYER_PII_FIELDS.forEach(field => delete view[field]);
+  }
+
+  return view;
+}
+
+// Helper function to create the first super-admin from the environment
+async function ensureBootstrapAdmin() {
+  const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+  const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+
+  if (!email || !password) return;
+
+  try {
+    if (await Staff.exists({})) return;
+
+    await Staff.create({
+      name: process.env.BOOTSTRAP_ADMIN_NAME || 'IDCS Administrator',
+      email,
+      password,
+      role: 'super-admin',
+      createdBy: 'bootstrap'
+    });
+    console.log(`👮 Created bootstrap super-admin: ${email}`);
+  } catch (error) {
+    console.error('❌ Could not create bootstrap super-admin:', error.message);
+  }
+}
+
+// Helper function to build the public view of a logged-in player
+function toAuthPlayer(player) {
+  return {
+    playerId: player.playerId,
+    userId: player.userId,
+    fullName: player.fullName,
+    username: player.username,
+    email: player.email,
+    role: player.role,
+    status: player.status,
+    emailVerified: player.emailVerified,
+    phoneVerified: player.phoneVerified,
+    documentsVerified: player.documentsVerified,
+    lastLogin: player.lastLogin
+  };
+}
+
+// Age groups reported by public Player ID verification (age on the day asked)
+const AGE_GROUPS = [
+  { label: 'Under 14', maxAge: 13 },
+  { label: 'Under 16', maxAge: 15 },
+  { label: 'Under 19', maxAge: 18 },
+  { label: 'Under 23', maxAge: 22 },
+  { label: 'Senior', maxAge: Infinity }
+];
+
+// Helper function to find the age group for a player's age
+function getAgeGroup(age) {
+  if (age === null || age === undefined) return null;
+  const group = AGE_GROUPS.find(({ maxAge }) => age <= maxAge);
+  return group ? group.label : null;
+}
+
+// Helper function to mask a name down to initials, e.g. "R*** S***".
+// Fixed-length masks so the name's length is not revealed either.
+function maskName(...parts) {
+  return parts
+    .filter(Boolean)
+    .map(part => `${String(part).trim().charAt(0).toUpperCase()}***`)
+    .join(' ');
+}
+
+// Helper function to build the public, PII-free view of a player
+function toPublicVerification(player) {
+  const erased = !!(player.erasure && player.erasure.erasedAt);
+
+  return {
+    playerId: player.playerId,
+    exists: true,
+    status: player.status,
+    verification: {
+      email: !!player.emailVerified,
+      phone: !!player.phoneVerified,
+      documents: !!player.documentsVerified
+    },
+    ageGroup: erased ? null : getAgeGroup(player.age),
+    maskedName: erased ? null : maskName(player.firstName, player.lastName)
+  };
+}
+
+// Helper function to build the public lookup link printed on ID cards
+function getPlayerLookupUrl(playerId) {
+  return `${PUBLIC_APP_URL}/verify-player.html?playerId=${encodeURIComponent(playerId)}`;
+}
+
+// Helper function to render a player's ID card and send it as a PDF download
+async function sendPlayerIdCard(res, player) {
+  if (player.erasure && player.erasure.erasedAt) {
+    return sendError(res, 410, ERROR_CODES.PLAYER_ERASED, 'Personal data for this player has been erased');
+  }
+
+  const pdf = await renderPlayerIdCard({
+    fullName: player.fullName,
+    playerId: player.playerId,
+    role: player.role,
+    battingStyle: player.battingStyle,
+    bowlingStyle: player.bowlingStyle,
+    ageGroup: getAgeGroup(player.age),
+    lookupUrl: getPlayerLookupUrl(player.playerId),
+    issuedAt: new Date(),
+    timeZone: getPlayerIdFormat().timeZone
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="IDCS_ID_Card_${player.playerId}.pdf"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(pdf);
+}
+
+// Helper function to describe a token lifetime in words ("24 hours", "30 minutes")
+function describeDuration(seconds) {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+  const [unit, size] = units.find(([, unitSeconds]) => seconds >= unitSeconds && seconds % unitSeconds === 0) ||
+    ['second', 1];
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+// Helper function to email a player their verification link, honouring the
+// resend cooldown and the daily send limit
+async function sendVerificationEmail(player) {
+  const now = Date.now();
+  const state = player.emailVerification || {};
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  if (state.lastSentAt && now - state.lastSentAt < EMAIL_RESEND_COOLDOWN_SECONDS * 1000) {
+    const retryAfter = Math.ceil((EMAIL_RESEND_COOLDOWN_SECONDS * 1000 - (now - state.lastSentAt)) / 1000);
+    return { sent: false, reason: 'cooldown', retryAfter };
+  }
+
+  const windowActive = state.windowStartedAt && now - state.windowStartedAt < dayMs;
+  const sentCount = windowActive ? state.sentCount || 0 : 0;
+
+  if (sentCount >= EMAIL_DAILY_SEND_LIMIT) {
+    return { sent: false, reason: 'daily_limit' };
+  }
+
+  const token = signEmailVerificationToken({ subject: player._id, email: player.email });
+  const verifyUrl = `${PUBLIC_APP_URL}/verify-email.html?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: player.email,
+    subject: 'Verify your email for IDCS Cricket',
+    text: [
+      `Hi ${player.firstName},`,
+      '',
+      `Thanks for registering with IDCS Cricket. Your Player ID is ${player.playerId}.`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      verifyUrl,
+      '',
+      `This link expires in ${describeDuration(getExpiresIn(token))}. If you did not register, you can ignore this email.`,
+      '',
+      'IDCS - Indian Domestic Champion Sports'
+    ].join('\n')
+  });
+
+  await Player.updateOne(
+    { _id: player._id },
+    {
+      $set: {
+        'emailVerification.lastSentAt': new Date(now),
+        'emailVerification.windowStartedAt': windowActive ? state.windowStartedAt : new Date(now),
+        'emailVerification.sentCount': sentCount + 1
+      }
+    }
+  );
+
+  console.log(`📧 Verification email sent to ${player.email} (${player.playerId})`);
+  return { sent: true };
+}
+
+// Helper function to text a player a fresh OTP for their phone, honouring the
+// resend cooldown and the daily send limit. Only a hash of the code is stored.
+async function sendPhoneOtp(player) {
+  const now = Date.now();
+  const state = player.phoneVerification || {};
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  if (state.lastSentAt && now - state.lastSentAt < OTP_RESEND_COOLDOWN_SECONDS * 1000) {
+    return { sent: false, reason: 'cooldown' };
+  }
+
+  const windowActive = state.windowStartedAt && now - state.windowStartedAt < dayMs;
+  const sentCount = windowActive ? state.sentCount || 0 : 0;
+
+  if (sentCount >= OTP_DAILY_SEND_LIMIT) {
+    return { sent: false, reason: 'daily_limit' };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+  const codeHash = await bcrypt.hash(code, 10);
+
+  await sendSms({
+    to: player.phone,
+    text: `${code} is your IDCS Cricket verification code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+  });
+
+  await Player.updateOne(
+    { _id: player._id },
+    {
+      $set: {
+        'phoneVerification.codeHash': codeHash,
+        'phoneVerification.expiresAt': new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+        'phoneVerification.attempts': 0,
+        'phoneVerification.lastSentAt': new Date(now),
+        'phoneVerification.windowStartedAt': windowActive ? state.windowStartedAt : new Date(now),
+        'phoneVerification.sentCount': sentCount + 1
+      }
+    }
+  );
+
+  console.log(`📱 Phone OTP sent for ${player.playerId}`);
+  return { sent: true };
+}
+
+// Helper function to find the player an unauthenticated OTP request refers to.
+// Both the Player ID and the registered phone must match.
+async function findPlayerForPhoneOtp(playerId, phone) {
+  if (!playerId || !phone) return null;
+
+  const player = await Player.findOne({ playerId: String(playerId).trim().toUpperCase() });
+  if (!player || player.phone !== PlayerFields.normalizeField('phone', phone)) return null;
+
+  return player;
+}
+
+// Staff authentication middleware - requires a valid staff access token
+async function authenticateStaff(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, ERROR_CODES.AUTH_REQUIRED, 'Staff authentication required');
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    if (payload.kind !== 'staff') {
+      throw new Error('Token was not issued to staff');
+    }
+
+    const session = await findLiveSession(payload);
+    if (!session) {
+      return sendError(res, 401, ERROR_CODES.SESSION_ENDED, 'Session has ended. Please log in again.');
+    }
+
+    const staff = await Staff.findById(payload.sub);
+    if (!staff || staff.status !== 'Active') {
+      return sendError(res, 403, ERROR_CODES.ACCOUNT_INACTIVE, 'Staff account is not active');
+    }
+
+    req.staff = staff;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return sendError(res, 401, expired ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.INVALID_TOKEN,
+      expired ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+// Authentication middleware for routes open to both players and staff.
+// Sets req.player or req.staff depending on who the token was issued to.
+function authenticatePlayerOrStaff(req, res, next) {
+  const [, token] = (req.headers.authorization || '').split(' ');
+
+  let kind = null;
+  try {
+    kind = verifyAccessToken(token).kind;
+  } catch (error) {
+    // Let authenticatePlayer produce the error response
+  }
+
+  return kind === 'staff'
+    ? authenticateStaff(req, res, next)
+    : authenticatePlayer(req, res, next);
+}
+
+// Permission check middleware - use after authenticateStaff
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.staff || !hasPermission(req.staff.role, permission)) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'You do not have permission to perform this action');
+    }
+    next();
+  };
+}
+
+// Helper function to check a file's leading bytes against its claimed type
+function hasExpectedSignature(buffer, contentType) {
+  const format = DOCUMENT_FORMATS[contentType];
+  if (!format || buffer.length < format.signature.length) return false;
+  return format.signature.every((byte, index) => buffer[index] === byte);
+}
+
+// Upload middleware that reports size/type problems as 400s instead of 500s
+function handleDocumentUpload(req, res, next) {
+  documentUpload.single('document')(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Document must be smaller than ${DOCUMENT_MAX_SIZE_MB} MB`
+      : error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? 'Document must be a PDF, JPEG or PNG file uploaded as "document"'
+        : 'Invalid document upload';
+
+    sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, message);
+  });
+}
+
+// Helper function to build the public view of an uploaded document
+function toDocumentSummary(document) {
+  return {
+    id: document._id,
+    documentType: document.documentType,
+    originalName: document.originalName,
+    contentType: document.contentType,
+    size: document.size,
+    status: document.status,
+    reviewNote: document.reviewNote,
+    reviewedAt: document.reviewedAt,
+    uploadedAt: document.createdAt
+  };
+}
+
+// Fields never returned by the player read APIs
+const PRIVATE_PLAYER_FIELD_NAMES = [
+  'password',
+  'passwordHistory',
+  'passwordReset',
+  'registrationMetadata',
+  'emailVerification',
+  'phoneVerification',
+  'emailCanonical',
+  'cityNormalized',
+  'districtNormalized',
+  'searchTokens',
+  'searchTokensPrivate'
+];
+const PRIVATE_PLAYER_FIELDS = PRIVATE_PLAYER_FIELD_NAMES.map(field => `-${field}`).join(' ');
+
+// Profile fields a player may change on their own record
+const PLAYER_EDITABLE_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'gender',
+  'email', 'phone',
+  'streetAddress', 'city', 'district', 'state', 'postalCode', 'country',
+  'role', 'battingOrderPreference', 'bowlingStyle', 'battingStyle', 'bowlingArm',
+  'username'
+];
+
+// Identity fields only staff with players:update may change. sequenceNumber is
+// not among them: it is allocated with the Player ID, and the list cursors and
+// the sequence gap report rely on it being unique and in order.
+const ADMIN_ONLY_PLAYER_FIELDS = ['playerId', 'userId', 'dateOfBirth'];
+
+// Helper function to check a new password against the current one and the
+// recent history. Expects the player loaded with +passwordHistory.
+async function isRecentlyUsedPassword(player, candidatePassword) {
+  const recentHashes = [player.password, ...(player.passwordHistory || [])];
+
+  for (const hash of recentHashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Helper function to set a new password. The pre-save hook hashes it; the
+// outgoing hash is kept so it cannot be reused for a while.
+async function applyNewPassword(player, newPassword) {
+  const history = [player.password, ...(player.passwordHistory || [])];
+  player.passwordHistory = history.slice(0, PASSWORD_HISTORY_SIZE - 1);
+  player.password = newPassword;
+  player.passwordChangedAt = new Date();
+  player.passwordReset = undefined;
+  player.failedLoginAttempts = 0;
+  player.lockUntil = undefined;
+
+  await player.save({ validateModifiedOnly: true });
+}
+
+// Helper function to end a player's sessions, optionally keeping one
+async function revokePlayerSessions(playerId, exceptSessionId = null) {
+  const query = { subject: playerId, subjectType: 'Player', revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  await Session.updateMany(query, { $set: { revokedAt: new Date() } });
+}
+
+// Helper function to anonymise a player's personal data in place. The Player
+// ID, sequence number and coarse reporting fields (gender, state, cricket
+// profile, birth year) are kept so the ID sequence and statistics stay intact.
+async function erasePlayerData(player, { erasedBy, reason }) {
+  const token = player.sequenceNumber || player._id;
+  const birthYear = player.dateOfBirth ? player.dateOfBirth.getFullYear() : null;
+
+  // Uploaded identity documents go first - they are the most sensitive data held
+  const documents = await PlayerDocument.find({ player: player._id });
+  for (const document of documents) {
+    await getStorage().remove(document.storageKey);
+  }
+  await PlayerDocument.deleteMany({ player: player._id });
+
+  // Written without validation: the placeholders deliberately fail the
+  // contact-detail rules so they can never collide with a real registration
+  await Player.updateOne(
+    { _id: player._id },
+    {
+      $set: {
+        firstName: 'Erased',
+        lastName: 'Player',
+        email: `erased-${token}@erased.invalid`,
+        phone: `erased-${token}`,
+        username: `erased_${token}`,
+        streetAddress: 'Erased',
+        city: 'Erased',
+        cityNormalized: 'erased',
+        postalCode: '000000',
+        dateOfBirth: birthYear ? new Date(Date.UTC(birthYear, 0, 1)) : player.dateOfBirth,
+        password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        status: 'Inactive',
+        emailVerified: false,
+        phoneVerified: false,
+        documentsStatus: 'Not Submitted',
+        // Still found by Player ID, no longer by anything erased
+        searchTokens: buildSearchTokens({ playerId: player.playerId }).searchTokens,
+        erasure: { erasedAt: new Date(), erasedBy, reason }
+      },
+      $unset: {
+        middleName: 1,
+        district: 1,
+        districtNormalized: 1,
+        emailCanonical: 1,
+        searchTokensPrivate: 1,
+        registrationMetadata: 1,
+        emailVerification: 1,
+        emailVerifiedAt: 1,
+        phoneVerification: 1,
+        phoneVerifiedAt: 1,
+        passwordHistory: 1,
+        passwordReset: 1,
+        lastLogin: 1,
+        lockUntil: 1
+      },
+      $push: {
+        statusHistory: {
+          from: player.status,
+          to: 'Inactive',
+          reason: 'Personal data erased',
+          changedBy: erasedBy,
+          changedAt: new Date()
+        }
+      }
+    }
+  );
+
+  await Session.deleteMany({ subject: player._id, subjectType: 'Player' });
+}
+
+// Helper function to email a single-use password reset link
+async function sendPasswordResetEmail(player) {
+  const state = player.passwordReset || {};
+
+  if (state.requestedAt && Date.now() - state.requestedAt < PASSWORD_RESET_COOLDOWN_SECONDS * 1000) {
+    return { sent: false, reason: 'cooldown' };
+  }
+
+  // Only the hash is stored, so a database leak does not leak live links
+  const token = crypto.randomBytes(32).toString('hex');
+  const resetUrl = `${PUBLIC_APP_URL}/reset-password.html?token=${token}`;
+
+  await Player.updateOne(
+    { _id: player._id },
+    {
+      $set: {
+        passwordReset: {
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+          requestedAt: new Date()
+        }
+      }
+    }
+  );
+
+  await sendMail({
+    to: player.email,
+    subject: 'Reset your IDCS Cricket password',
+    text: [
+      `Hi ${player.firstName},`,
+      '',
+      `We received a request to reset the password for Player ID ${player.playerId}.`,
+      '',
+      'Open the link below to choose a new password:',
+      resetUrl,
+      '',
+      `This link can be used once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.`,
+      'If you did not ask for a reset, you can ignore this email - your password has not changed.',
+      '',
+      'IDCS - Indian Domestic Champion Sports'
+    ].join('\n')
+  });
+
+  console.log(`🔐 Password reset email sent for ${player.playerId}`);
+  return { sent: true };
+}
+
+// Statuses that are not allowed to sign in
+const BLOCKED_LOGIN_STATUSES = ['Suspended', 'Inactive', 'Rejected'];
+
+// Admin status actions: the statuses each may start from and where it leads
+const STATUS_TRANSITIONS = {
+  approve: { from: ['Pending'], to: 'Active' },
+  reject: { from: ['Pending'], to: 'Rejected' },
+  suspend: { from: ['Active', 'Pending'], to: 'Suspended' },
+  reactivate: { from: ['Suspended', 'Inactive'], to: 'Active' }
+};
+
+// Helper function to find a player by Player ID, User ID or database ID
+async function findPlayerByAnyId(id, projection) {
+  const conditions = [{ playerId: id }, { userId: id }];
+  if (mongoose.isValidObjectId(id)) {
+    conditions.push({ _id: id });
+  }
+
+  return Player.findOne({ $or: conditions }).select(projection);
+}
+
+// Authentication middleware - requires a valid player access token
+async function authenticatePlayer(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, ERROR_CODES.AUTH_REQUIRED, 'Authentication required');
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    if (payload.kind !== 'player') {
+      throw new Error('Token was not issued to a player');
+    }
+
+    const session = await findLiveSession(payload);
+    if (!session) {
+      return sendError(res, 401, ERROR_CODES.SESSION_ENDED, 'Session has ended. Please log in again.');
+    }
+
+    const player = await Player.findById(payload.sub);
+    if (!player || BLOCKED_LOGIN_STATUSES.includes(player.status)) {
+      return sendError(res, 403, ERROR_CODES.ACCOUNT_INACTIVE, 'Account is not active');
+    }
+
+    req.player = player;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return sendError(res, 401, expired ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.INVALID_TOKEN,
+      expired ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+// Routes
+
+// Serve the main registration page
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'registration.html'));
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
   });
 });
 
-// Get current sequence number (for admin/debugging)
-app.get('/api/sequence', async (req, res) => {
+// Password rules the server enforces, for the form's strength meter
+app.get('/api/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: PasswordPolicy.getPolicy()
+  });
+});
+
+// Get current sequence number (for admin/debugging)
+app.get('/api/sequence', authenticateStaff, requirePermission('sequence:read'), async (req, res) => {
+  try {
+    const preview = await previewNextPlayerId();
+
+    res.json({
+      success: true,
+      ...preview
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sequence',
+      error: error.message
+    });
+  }
+});
+
+// Sequence numbers with no Player - should stay empty now allocation is transactional
+app.get('/api/admin/sequence/gaps', authenticateStaff, requirePermission('sequence:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    const report = await findSequenceGaps({ Counter, Model: Player, limit });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Sequence gap report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building sequence gap report'
+    });
+  }
+});
+
+// Public Player ID verification limits. Every lookup counts against the first;
+// lookups for IDs that do not exist also count against the much lower second,
+// so walking the sequence runs out long before it finds much.
+const PLAYER_VERIFY_LIMIT = parseInt(process.env.PLAYER_VERIFY_LIMIT || '30', 10);
+const PLAYER_VERIFY_WINDOW_MINUTES = parseInt(process.env.PLAYER_VERIFY_WINDOW_MINUTES || '15', 10);
+const PLAYER_VERIFY_MISS_LIMIT = parseInt(process.env.PLAYER_VERIFY_MISS_LIMIT || '10', 10);
+const PLAYER_VERIFY_MISS_WINDOW_MINUTES = parseInt(process.env.PLAYER_VERIFY_MISS_WINDOW_MINUTES || '60', 10);
+
+const playerVerifyLimiter = createRateLimiter({
+  name: 'verify',
+  windowMs: PLAYER_VERIFY_WINDOW_MINUTES * 60 * 1000,
+  max: PLAYER_VERIFY_LIMIT
+});
+const playerVerifyMissLimiter = createRateLimiter({
+  name: 'verify-miss',
+  windowMs: PLAYER_VERIFY_MISS_WINDOW_MINUTES * 60 * 1000,
+  max: PLAYER_VERIFY_MISS_LIMIT
+});
+
+// Confirm a Player ID is genuine - public, for tournament organisers
+app.get('/api/verify/:playerId', rateLimit(playerVerifyLimiter, {
+  keyGenerator: clientAddressKey,
+  message: 'Too many verification requests. Please try again later.'
+}), async (req, res) => {
+  try {
+    const playerId = String(req.params.playerId).trim().toUpperCase();
+
+    if (!getPlayerIdFormat().isValid(playerId)) {
+      return res.status(400).json({
+        success: false,
+        valid: false,
+        message: 'This is not a valid Player ID'
+      });
+    }
+
+    const clientKey = clientAddressKey(req);
+    const missAllowance = await playerVerifyMissLimiter.check(clientKey);
+    if (!missAllowance.allowed) {
+      setRateLimitHeaders(res, missAllowance);
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification requests. Please try again later.',
+        retryAfter: missAllowance.retryAfter
+      });
+    }
+
+    const player = await Player.findOne(
+      { playerId },
+      'playerId status firstName lastName dateOfBirth emailVerified phoneVerified documentsVerified erasure'
+    );
+
+    if (!player) {
+      await playerVerifyMissLimiter.hit(clientKey);
+      return res.status(404).json({
+        success: false,
+        valid: true,
+        playerId,
+        exists: false,
+        message: 'No player is registered with this Player ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      valid: true,
+      ...toPublicVerification(player)
+    });
+  } catch (error) {
+    console.error('Player verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying Player ID'
+    });
+  }
+});
+
+// Live availability check limits, per client address. Usernames are public
+// anyway, but whether an email or phone number is registered is not: those
+// checks also count against a much lower limit, and once it is used up the
+// answer becomes a generic "checked when you register" instead of a 429, so
+// scripted lookups learn nothing either way.
+const AVAILABILITY_FIELDS = ['email', 'username', 'phone'];
+const AVAILABILITY_CONTACT_FIELDS = ['email', 'phone'];
+const AVAILABILITY_LIMIT = parseInt(process.env.AVAILABILITY_LIMIT || '60', 10);
+const AVAILABILITY_WINDOW_MINUTES = parseInt(process.env.AVAILABILITY_WINDOW_MINUTES || '15', 10);
+const AVAILABILITY_CONTACT_LIMIT = parseInt(process.env.AVAILABILITY_CONTACT_LIMIT || '10', 10);
+const AVAILABILITY_CONTACT_WINDOW_MINUTES = parseInt(process.env.AVAILABILITY_CONTACT_WINDOW_MINUTES || '60', 10);
+const USERNAME_SUGGESTION_COUNT = 5;
+
+const availabilityLimiter = createRateLimiter({
+  name: 'availability',
+  windowMs: AVAILABILITY_WINDOW_MINUTES * 60 * 1000,
+  max: AVAILABILITY_LIMIT
+});
+const availabilityContactLimiter = createRateLimiter({
+  name: 'availability-contact',
+  windowMs: AVAILABILITY_CONTACT_WINDOW_MINUTES * 60 * 1000,
+  max: AVAILABILITY_CONTACT_LIMIT
+});
+
+// Helper function to suggest free usernames close to a taken one, using the
+// player's name when it was sent along
+async function suggestUsernames(username, { firstName, lastName } = {}) {
+  const clean = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9_]/g, '');
+  const base = clean(username).slice(0, 24) || 'player';
+  const first = clean(firstName);
+  const last = clean(lastName);
+  const year = String(new Date().getFullYear());
+
+  const candidates = new Set([
+    first && last ? `${first}_${last}` : null,
+    first && last ? `${first}${last.charAt(0)}` : null,
+    first && last ? `${first.charAt(0)}${last}` : null,
+    `${base}_${year.slice(2)}`,
+    `${base}${year}`,
+    `${base}_cricket`
+  ]);
+  while (candidates.size < USERNAME_SUGGESTION_COUNT * 3) {
+    candidates.add(`${base}${crypto.randomInt(10, 1000)}`);
+  }
+
+  const valid = [...candidates].filter(candidate =>
+    candidate && PlayerFields.checkField('username', candidate) === null && !checkUsernameShape(candidate));
+  const taken = await Player.find({ username: { $in: valid } }, 'username').lean();
+  const takenNames = new Set(taken.map(player => player.username));
+
+  return valid.filter(candidate => !takenNames.has(candidate)).slice(0, USERNAME_SUGGESTION_COUNT);
+}
+
+// Check whether an email, username or phone number can still be registered
+app.get('/api/availability', rateLimit(availabilityLimiter, {
+  keyGenerator: clientAddressKey,
+  message: 'Too many availability checks. Please try again later.'
+}), async (req, res) => {
+  try {
+    const field = String(req.query.field || '');
+    const value = req.query.value;
+
+    if (!AVAILABILITY_FIELDS.includes(field)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED,
+        `field must be one of: ${AVAILABILITY_FIELDS.join(', ')}`);
+    }
+
+    const problem = PlayerFields.checkField(field, typeof value === 'string' ? value : undefined) ||
+      (field === 'username' ? checkUsernameShape(value) : null);
+    if (problem) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, problem.message, {
+        errors: { [field]: problem.message },
+        fieldCodes: { [field]: problem.code }
+      });
+    }
+
+    const normalized = PlayerFields.normalizeField(field, value);
+
+    if (AVAILABILITY_CONTACT_FIELDS.includes(field)) {
+      const allowance = await availabilityContactLimiter.hit(clientAddressKey(req));
+      if (!allowance.allowed) {
+        return res.json({
+          success: true,
+          field,
+          available: null,
+          message: 'We will check this when you register'
+        });
+      }
+    }
+
+    const conflicts = await validateUniqueFields({ [field]: normalized });
+    const available = !conflicts[field];
+
+    const response = {
+      success: true,
+      field,
+      available,
+      message: available ? `${PlayerFields.FIELDS[field].label} is available` : conflicts[field]
+    };
+
+    if (field === 'username' && !available) {
+      response.suggestions = await suggestUsernames(normalized, {
+        firstName: req.query.firstName,
+        lastName: req.query.lastName
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Availability check error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Error checking availability');
+  }
+});
+
+// Helper function to claim an idempotency key; false if it is already taken
+async function claimIdempotencyKey(key, requestHash) {
+  try {
+    await IdempotencyKey.create({
+      key,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Idempotency middleware. The key comes from the Idempotency-Key header or,
+// for older clients, the body's clientRandom. A repeat of a completed request
+// gets the original response back; only successful responses are remembered
+// so a failed attempt can be retried with the same key.
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const rawKey = req.headers['idempotency-key'] || (req.body && req.body.clientRandom);
+    if (!rawKey || rawKey === 'none') return next();
+
+    if (String(rawKey).length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency key is too long'
+      });
+    }
+
+    const key = `${scope}:${rawKey}`;
+    // Secrets and the per-attempt timestamp don't identify the request
+    const { password, confirmPassword, clientTimestamp, ...fingerprint } = req.body || {};
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex');
+
+    try {
+      const created = await claimIdempotencyKey(key, requestHash);
+
+      if (!created) {
+        const existing = await IdempotencyKey.findOne({ key });
+
+        // The first attempt failed and released the key in the meantime
+        if (!existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'Please retry the request'
+          });
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'This idempotency key was already used for a different request'
+          });
+        }
+
+        if (existing.state === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'This request is already being processed'
+          });
+        }
+
+        console.log(`🔁 Replaying response for idempotency key ${key}`);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const settle = succeeded
+        ? IdempotencyKey.updateOne(
+          { key },
+          { $set: { state: 'completed', responseStatus: res.statusCode, responseBody: body } }
+        )
+        : IdempotencyKey.deleteOne({ key });
+
+      settle
+        .catch(error => console.error('⚠️ Could not settle idempotency key:', error.message))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+// Player registration endpoint with NEW ID LOGIC
+app.post('/api/players/register', idempotent('register'), async (req, res) => {
+  let playerIdPeriod = null;
+
+  try {
+    const { clientTimestamp, clientRandom } = req.body;
+
+    console.log('📝 Registration request received for:', req.body.firstName, req.body.lastName);
+
+    // Same rules the registration form applies (shared/playerFields.js)
+    const { errors: fieldErrors, codes: fieldCodes, values } = PlayerFields.validatePlayer(req.body);
+    const usernameProblem = !fieldErrors.username && checkUsernameShape(values.username);
+    if (usernameProblem) {
+      fieldErrors.username = usernameProblem.message;
+      fieldCodes.username = usernameProblem.code;
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+      const missingFields = Object.keys(fieldCodes).filter(field => fieldCodes[field] === 'required');
+      console.log('❌ Registration validation failed:', Object.keys(fieldErrors));
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields', {
+        errors: fieldErrors,
+        fieldCodes,
+        missingFields
+      });
+    }
+
+    const { firstName, lastName, email } = values;
+
+    // Validate unique fields
+    const uniqueErrors = await validateUniqueFields(values);
+
+    if (Object.keys(uniqueErrors).length > 0) {
+      console.log('❌ Registration conflicts:', Object.keys(uniqueErrors));
+      return sendError(res, 409, ERROR_CODES.DUPLICATE_VALUE, 'Some details are already registered', {
+        errors: uniqueErrors,
+        fallbackFieldCode: 'already_exists'
+      });
+    }
+
+    // District for reporting, from the PIN code when the player left it blank
+    if (!values.district) {
+      const pinMatch = PinCodes.lookupPinCode(values.postalCode);
+      if (pinMatch && pinMatch.district) values.district = pinMatch.district;
+    }
+
+    // Generate unique IDs with NEW LOGIC
+    const userId = await generateUniqueUserId({
+      firstName,
+      lastName,
+      email,
+      clientTimestamp,
+      clientRandom
+    });
+
+    // Create registration metadata
+    const registrationMetadata = {
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || 'unknown',
+      timestamp: new Date(),
+      clientTimestamp: clientTimestamp || Date.now(),
+      clientRandom: clientRandom || 'none'
+    };
+
+    // Allocate the Player ID and save in one step so a failed save
+    // never leaves a hole in the sequence
+    const idFormat = getPlayerIdFormat();
+    const issuedAt = new Date();
+    playerIdPeriod = idFormat.periodKey(issuedAt);
+    const savedPlayer = await saveWithSequence({
+      connection: mongoose.connection,
+      Counter,
+      periodKey: playerIdPeriod,
+      seedPeriod: highestIssuedInPeriod,
+      build: (sequenceNumber, periodSequence) => new Player({
+        playerId: idFormat.format({ sequence: periodSequence, date: issuedAt }),
+        sequenceNumber,
+        periodSequence,
+        userId,
+        ...values,
+        registrationMetadata,
+        statusHistory: [{
+          to: 'Pending',
+          reason: 'Registration submitted',
+          changedBy: 'system'
+        }]
+      })
+    });
+
+    // Email the verification link - a mail failure must not fail the registration
+    let emailVerificationSent = false;
+    try {
+      const result = await sendVerificationEmail(savedPlayer);
+      emailVerificationSent = result.sent;
+    } catch (mailError) {
+      console.error('⚠️ Could not send verification email:', mailError.message);
+    }
+
+    // Return success response (without password and sensitive data)
+    const responseData = {
+      success: true,
+      message: 'Registration successful! Welcome to IDCS Cricket Community!',
+      playerId: savedPlayer.playerId,
+      userId: savedPlayer.userId,
+      sequenceNumber: savedPlayer.sequenceNumber,
+      periodSequence: savedPlayer.periodSequence,
+      playerIdFormat: idFormat.describe(),
+      fullName: savedPlayer.fullName,
+      email: savedPlayer.email,
+      phone: savedPlayer.phone,
+      city: savedPlayer.city,
+      district: savedPlayer.district,
+      state: savedPlayer.state,
+      role: savedPlayer.role,
+      registrationDate: savedPlayer.registrationDate,
+      status: savedPlayer.status,
+      emailVerified: savedPlayer.emailVerified,
+      emailVerificationSent,
+      idCardToken: signIdCardToken({ subject: savedPlayer._id })
+    };
+
+    // Log successful registration
+    console.log(`✅ Player registered successfully: ${savedPlayer.playerId} - ${savedPlayer.fullName}`);
+
+    res.status(201).json(responseData);
+
+  } catch (error) {
+    console.error('❌ Registration error:', error);
+
+    // Handle specific MongoDB errors
+    if (error.code === 11000) {
+      const field = getDuplicateKeyField(error);
+
+      // Generated IDs clashing is on our side - the same request can simply be retried
+      if (field === 'playerId' || field === 'userId') {
+        // Move the period counter past IDs issued before it existed, so the retry gets a free one
+        if (field === 'playerId' && playerIdPeriod) {
+          await highestIssuedInPeriod(playerIdPeriod)
+            .then(highest => raiseSequence(Counter, highest, periodCounterId(playerIdPeriod)))
+            .catch(repairError => console.error('⚠️ Could not advance the Player ID counter:', repairError.message));
+        }
+
+        const fieldName = field === 'playerId' ? 'Player ID' : 'User ID';
+        return sendError(res, 409, ERROR_CODES.ID_CONFLICT, `${fieldName} already exists. Please try again.`);
+      }
+
+      return sendError(res, 409, ERROR_CODES.DUPLICATE_VALUE, 'Some details are already registered', {
+        errors: { [field]: DUPLICATE_FIELD_MESSAGES[field] || 'This value is already in use' },
+        fallbackFieldCode: 'already_exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields',
+        describeValidationError(error));
+    }
+
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Registration failed. Please try again.', {
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Player login endpoint (username, email or Player ID)
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { identifier, password } = req.body;
+
+    if (!identifier || !password) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Identifier and password are required');
+    }
+
+    const player = await findPlayerByIdentifier(identifier);
+
+    // Same answer for unknown accounts and wrong passwords
+    if (!player) {
+      return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid credentials');
+    }
+
+    if (player.isLocked) {
+      return sendError(res, 423, ERROR_CODES.ACCOUNT_LOCKED, 'Account temporarily locked due to repeated failed logins. Please try again later.', {
+        lockedUntil: player.lockUntil
+      });
+    }
+
+    const passwordMatches = await player.comparePassword(password);
+    if (!passwordMatches) {
+      await registerFailedLogin(Player, player);
+      return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid credentials');
+    }
+
+    if (BLOCKED_LOGIN_STATUSES.includes(player.status)) {
+      console.log(`🚫 Login rejected for ${player.status} player: ${player.playerId}`);
+      return sendError(res, 403, ERROR_CODES.ACCOUNT_INACTIVE, `Your account is ${player.status.toLowerCase()}. Please contact IDCS support.`, {
+        status: player.status
+      });
+    }
+
+    const now = new Date();
+    await Player.updateOne(
+      { _id: player._id },
+      {
+        $set: { lastLogin: now, failedLoginAttempts: 0 },
+        $unset: { lockUntil: 1 },
+        $inc: { loginCount: 1 }
+      }
+    );
+    player.lastLogin = now;
+
+    const tokens = await issueSessionTokens(player, req);
+
+    console.log(`🔑 Player logged in: ${player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      player: toAuthPlayer(player)
+    });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Login failed. Please try again.');
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotating the refresh token).
+// Serves both player and staff sessions - the token says which it is.
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token'
+    });
+  }
+
+  try {
+    const session = await findLiveSession(payload);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
+    // A rotated-out refresh token being replayed means it leaked - end the session
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+      session.revokedAt = new Date();
+      await session.save();
+      console.log(`⚠️ Refresh token reuse detected, session revoked: ${session._id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended. Please log in again.'
+      });
+    }
+
+    const account = await SESSION_SUBJECTS[payload.kind].model().findById(payload.sub);
+    const accountActive = account && (payload.kind === 'staff'
+      ? account.status === 'Active'
+      : !BLOCKED_LOGIN_STATUSES.includes(account.status));
+
+    if (!accountActive) {
+      session.revokedAt = new Date();
+      await session.save();
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active'
+      });
+    }
+
+    const tokenClaims = { subject: account._id, sessionId: session._id.toString(), kind: payload.kind };
+    const accessToken = signAccessToken(tokenClaims);
+    const newRefreshToken = signRefreshToken(tokenClaims);
+
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.expiresAt = getRefreshTokenExpiry();
+    await session.save();
+
+    res.json({
+      success: true,
+      accessToken,
+      refreshToken: newRefreshToken,
+      tokenType: 'Bearer',
+      expiresIn: getExpiresIn(accessToken)
+    });
+  } catch (error) {
+    console.error('❌ Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not refresh session'
+    });
+  }
+});
+
+// Logout - revokes the session behind the given refresh token
+app.post('/api/auth/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    // Invalid or expired tokens have no live session left to revoke
+    return res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  }
+
+  try {
+    await Session.updateOne(
+      { _id: payload.sid, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed. Please try again.'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+// Confirm an email address from the emailed verification link
+app.get('/api/auth/verify-email/:token', async (req, res) => {
+  let payload;
+  try {
+    payload = verifyEmailVerificationToken(req.params.token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(400).json({
+      success: false,
+      message: expired
+        ? 'This verification link has expired. Please request a new one.'
+        : 'This verification link is invalid.',
+      expired
+    });
+  }
+
+  try {
+    const player = await Player.findById(payload.sub);
+
+    // The link is tied to the address it was sent to
+    if (!player || player.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is no longer valid.',
+        expired: false
+      });
+    }
+
+    if (player.emailVerified) {
+      return res.json({
+        success: true,
+        message: 'Email address is already verified',
+        alreadyVerified: true,
+        playerId: player.playerId
+      });
+    }
+
+    await Player.updateOne(
+      { _id: player._id },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`✅ Email verified for ${player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      alreadyVerified: false,
+      playerId: player.playerId
+    });
+  } catch (error) {
+    console.error('❌ Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed. Please try again.'
+    });
+  }
+});
+
+// Resend the verification email. The answer is the same whether or not the
+// address is registered, so the endpoint cannot be used to probe accounts.
+app.post('/api/auth/resend-verification', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email address is required'
+    });
+  }
+
+  try {
+    const player = await Player.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (player && !player.emailVerified && !BLOCKED_LOGIN_STATUSES.includes(player.status)) {
+      const result = await sendVerificationEmail(player);
+      if (!result.sent) {
+        console.log(`⏳ Verification resend throttled for ${player.playerId}: ${result.reason}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that address is registered and not yet verified, a new verification link has been sent.'
+    });
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not resend verification email. Please try again.'
+    });
+  }
+});
+
+// Request a mobile OTP. Unknown Player ID / phone pairs and throttled requests
+// get the same answer so the endpoint cannot be used to probe registrations.
+app.post('/api/auth/phone-otp/request', async (req, res) => {
+  const { playerId, phone } = req.body;
+
+  if (!playerId || !phone) {
+    return res.status(400).json({
+      success: false,
+      message: 'Player ID and phone number are required'
+    });
+  }
+
+  try {
+    const player = await findPlayerForPhoneOtp(playerId, phone);
+
+    if (player && !player.phoneVerified && !BLOCKED_LOGIN_STATUSES.includes(player.status)) {
+      const result = await sendPhoneOtp(player);
+      if (!result.sent) {
+        console.log(`⏳ Phone OTP throttled for ${player.playerId}: ${result.reason}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If the details match an unverified registration, a verification code has been sent.',
+      expiresInMinutes: OTP_TTL_MINUTES,
+      resendCooldownSeconds: OTP_RESEND_COOLDOWN_SECONDS
+    });
+  } catch (error) {
+    console.error('❌ Phone OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send verification code. Please try again.'
+    });
+  }
+});
+
+// Confirm a mobile OTP and mark the phone as verified
+app.post('/api/auth/phone-otp/verify', async (req, res) => {
+  const { playerId, phone, code } = req.body;
+
+  if (!playerId || !phone || !code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Player ID, phone number and code are required'
+    });
+  }
+
+  try {
+    const player = await findPlayerForPhoneOtp(playerId, phone);
+
+    if (player && player.phoneVerified) {
+      return res.json({
+        success: true,
+        message: 'Phone number is already verified',
+        alreadyVerified: true
+      });
+    }
+
+    const state = player ? player.phoneVerification || {} : {};
+
+    if (!player || !state.codeHash || !state.expiresAt || state.expiresAt < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code has expired or was not requested. Please request a new code.'
+      });
+    }
+
+    // Use up an attempt on this code before checking it. The limit is part of
+    // the update, so parallel requests can't get past it between read and write.
+    const claimed = await Player.findOneAndUpdate(
+      {
+        _id: player._id,
+        'phoneVerification.codeHash': state.codeHash,
+        'phoneVerification.attempts': { $lt: OTP_MAX_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true, projection: { 'phoneVerification.attempts': 1 } }
+    ).lean();
+
+    if (!claimed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+    }
+
+    const codeMatches = await bcrypt.compare(String(code).trim(), state.codeHash);
+
+    if (!codeMatches) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incorrect verification code',
+        attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - claimed.phoneVerification.attempts, 0)
+      });
+    }
+
+    await Player.updateOne(
+      { _id: player._id },
+      {
+        $set: { phoneVerified: true, phoneVerifiedAt: new Date() },
+        $unset: {
+          'phoneVerification.codeHash': 1,
+          'phoneVerification.expiresAt': 1,
+          'phoneVerification.attempts': 1
+        }
+      }
+    );
+
+    console.log(`✅ Phone verified for ${player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
+      alreadyVerified: false
+    });
+  } catch (error) {
+    console.error('❌ Phone OTP verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Phone verification failed. Please try again.'
+    });
+  }
+});
+
+// Forgot password - emails a reset link. The answer never reveals whether
+// the account exists.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const { identifier } = req.body;
+
+  if (!identifier) {
+    return res.status(400).json({
+      success: false,
+      message: 'Username, email or Player ID is required'
+    });
+  }
+
+  try {
+    const player = await findPlayerByIdentifier(identifier);
+
+    if (player && !BLOCKED_LOGIN_STATUSES.includes(player.status)) {
+      const result = await sendPasswordResetEmail(player);
+      if (!result.sent) {
+        console.log(`⏳ Password reset throttled for ${player.playerId}: ${result.reason}`);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account matches, a password reset link has been sent to its email address.'
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not process the request. Please try again.'
+    });
+  }
+});
+
+// Reset password with an emailed token
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    const errors = {};
+    if (!token) errors.token = 'Reset token is required';
+    if (!password) errors.password = 'New password is required';
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Reset token and new password are required', {
+      errors,
+      fallbackFieldCode: 'required'
+    });
+  }
+
+  try {
+    const player = await Player.findOne({
+      'passwordReset.tokenHash': hashToken(String(token)),
+      'passwordReset.expiresAt': { $gt: new Date() }
+    }).select('+passwordHistory');
+
+    if (!player) {
+      const message = 'This reset link is invalid or has expired. Please request a new one.';
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, message, {
+        errors: { token: message },
+        fallbackFieldCode: 'expired'
+      });
+    }
+
+    const passwordProblem = checkNewPassword(password, player);
+    if (passwordProblem) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please choose a stronger password', {
+        errors: { password: passwordProblem.message },
+        fieldCodes: { password: passwordProblem.code }
+      });
+    }
+
+    if (await isRecentlyUsedPassword(player, password)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please choose a password you have not used before', {
+        errors: { password: `Choose a password you have not used in your last ${PASSWORD_HISTORY_SIZE} passwords` },
+        fallbackFieldCode: 'recently_used'
+      });
+    }
+
+    await applyNewPassword(player, password);
+    await revokePlayerSessions(player._id);
+
+    console.log(`🔐 Password reset for ${player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields',
+        describeValidationError(error));
+    }
+
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not reset password. Please try again.'
+    });
+  }
+});
+
+// Change password for the logged-in player. Other sessions are signed out.
+app.post('/api/auth/change-password', authenticatePlayer, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    const errors = {};
+    if (!currentPassword) errors.currentPassword = 'Current password is required';
+    if (!newPassword) errors.newPassword = 'New password is required';
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Current password and new password are required', {
+      errors,
+      fallbackFieldCode: 'required'
+    });
+  }
+
+  try {
+    const player = await Player.findById(req.player._id).select('+passwordHistory');
+
+    if (!await player.comparePassword(currentPassword)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Current password is incorrect', {
+        errors: { currentPassword: 'Current password is incorrect' },
+        fallbackFieldCode: 'incorrect'
+      });
+    }
+
+    const passwordProblem = checkNewPassword(newPassword, player);
+    if (passwordProblem) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please choose a stronger password', {
+        errors: { newPassword: passwordProblem.message },
+        fieldCodes: { newPassword: passwordProblem.code }
+      });
+    }
+
+    if (await isRecentlyUsedPassword(player, newPassword)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please choose a password you have not used before', {
+        errors: { newPassword: `Choose a password you have not used in your last ${PASSWORD_HISTORY_SIZE} passwords` },
+        fallbackFieldCode: 'recently_used'
+      });
+    }
+
+    await applyNewPassword(player, newPassword);
+    await revokePlayerSessions(player._id, req.authSession._id);
+
+    console.log(`🔐 Password changed for ${player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      // The form calls the player's password field newPassword
+      const { errors, fieldCodes } = describeValidationError(error);
+      if (errors.password) {
+        errors.newPassword = errors.password;
+        fieldCodes.newPassword = fieldCodes.password;
+        delete errors.password;
+        delete fieldCodes.password;
+      }
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields', {
+        errors,
+        fieldCodes
+      });
+    }
+
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not change password. Please try again.'
+    });
+  }
+});
+
+// Self-service deactivation. The player confirms with their password; staff
+// can reactivate the account later.
+app.post('/api/players/me/deactivate', authenticatePlayer, async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    if (!password) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please confirm your password', {
+        errors: { password: 'Please confirm your password' },
+        fallbackFieldCode: 'required'
+      });
+    }
+
+    if (!await req.player.comparePassword(password)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Password is incorrect', {
+        errors: { password: 'Password is incorrect' },
+        fallbackFieldCode: 'incorrect'
+      });
+    }
+
+    await Player.updateOne(
+      { _id: req.player._id },
+      {
+        $set: { status: 'Inactive' },
+        $push: {
+          statusHistory: {
+            from: req.player.status,
+            to: 'Inactive',
+            reason: reason ? String(reason).trim().slice(0, 500) : 'Deactivated by player',
+            changedBy: 'self',
+            changedAt: new Date()
+          }
+        }
+      }
+    );
+    await revokePlayerSessions(req.player._id);
+
+    console.log(`👋 Player deactivated their account: ${req.player.playerId}`);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deactivated. Contact IDCS support to reactivate it.'
+    });
+  } catch (error) {
+    console.error('❌ Deactivation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not deactivate account. Please try again.'
+    });
+  }
+});
+
+// Export everything held about the logged-in player as JSON
+app.get('/api/players/me/export', authenticatePlayer, async (req, res) => {
+  try {
+    const player = await Player.findById(req.player._id);
+    const documents = await PlayerDocument.find({ player: player._id }).sort({ createdAt: 1 });
+    const sessions = await Session.find({ subject: player._id, subjectType: 'Player' }).sort({ createdAt: 1 });
+
+    const profile = player.toJSON();
+    ['password', 'passwordHistory', 'passwordReset', 'emailVerification', 'phoneVerification']
+      .forEach(field => delete profile[field]);
+
+    const exportData = {
+      exportedAt: new Date().toISOString(),
+      player: profile,
+      documents: documents.map(toDocumentSummary),
+      sessions: sessions.map(session => ({
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        revokedAt: session.revokedAt,
+        ip: session.ip,
+        userAgent: session.userAgent
+      }))
+    };
+
+    console.log(`📦 Data export for ${player.playerId}`);
+
+    res.setHeader('Content-Disposition', `attachment; filename="IDCS_Player_${player.playerId}_Data.json"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json(exportData);
+  } catch (error) {
+    console.error('❌ Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not export data. Please try again.'
+    });
+  }
+});
+
+// Download the logged-in player's ID card
+app.get('/api/players/me/id-card', authenticatePlayer, async (req, res) => {
+  try {
+    await sendPlayerIdCard(res, req.player);
+  } catch (error) {
+    console.error('❌ ID card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not create ID card. Please try again.'
+    });
+  }
+});
+
+// Download an ID card with the link handed out at registration
+app.get('/api/id-cards/:token', async (req, res) => {
+  let payload;
+  try {
+    payload = verifyIdCardToken(req.params.token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(400).json({
+      success: false,
+      message: expired
+        ? 'This download link has expired. Please sign in to download your ID card.'
+        : 'This download link is invalid.',
+      expired
+    });
+  }
+
+  try {
+    const player = await Player.findById(payload.sub);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        message: 'Player not found'
+      });
+    }
+
+    await sendPlayerIdCard(res, player);
+  } catch (error) {
+    console.error('❌ ID card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not create ID card. Please try again.'
+    });
+  }
+});
+
+// Get the currently logged-in player
+app.get('/api/auth/me', authenticatePlayer, (req, res) => {
+  res.json({
+    success: true,
+    player: toAuthPlayer(req.player)
+  });
+});
+
+// Staff login endpoint
+app.post('/api/staff/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Email and password are required');
+    }
+
+    const staff = await Staff.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!staff) {
+      return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid credentials');
+    }
+
+    if (staff.isLocked) {
+      return sendError(res, 423, ERROR_CODES.ACCOUNT_LOCKED, 'Account temporarily locked due to repeated failed logins. Please try again later.', {
+        lockedUntil: staff.lockUntil
+      });
+    }
+
+    const passwordMatches = await staff.comparePassword(password);
+    if (!passwordMatches) {
+      await registerFailedLogin(Staff, staff);
+      return sendError(res, 401, ERROR_CODES.INVALID_CREDENTIALS, 'Invalid credentials');
+    }
+
+    if (staff.status !== 'Active') {
+      return sendError(res, 403, ERROR_CODES.ACCOUNT_INACTIVE, 'Staff account is disabled');
+    }
+
+    staff.lastLogin = new Date();
+    await Staff.updateOne(
+      { _id: staff._id },
+      { $set: { lastLogin: staff.lastLogin, failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+
+    const tokens = await issueSessionTokens(staff, req, 'staff');
+
+    console.log(`👮 Staff logged in: ${staff.email} (${staff.role})`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      staff: toAuthStaff(staff)
+    });
+  } catch (error) {
+    console.error('❌ Staff login error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Login failed. Please try again.');
+  }
+});
+
+// Get the currently logged-in staff member
+app.get('/api/staff/me', authenticateStaff, (req, res) => {
+  res.json({
+    success: true,
+    staff: toAuthStaff(req.staff)
+  });
+});
+
+// List staff accounts
+app.get('/api/staff', authenticateStaff, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const staff = await Staff.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: staff.length,
+      staff: staff.map(toAuthStaff)
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching staff'
+    });
+  }
+});
+
+// Create a staff account
+app.post('/api/staff', authenticateStaff, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+
+    if (!name || !email || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email, password and role are required'
+      });
+    }
+
+    const passwordProblem = checkNewPassword(password, { name, email });
+    if (passwordProblem) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please choose a stronger password', {
+        errors: { password: passwordProblem.message },
+        fieldCodes: { password: passwordProblem.code }
+      });
+    }
+
+    const staff = await Staff.create({
+      name,
+      email,
+      password,
+      role,
+      createdBy: req.staff.email
+    });
+
+    console.log(`👮 Staff account created: ${staff.email} (${staff.role}) by ${req.staff.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff account created',
+      staff: toAuthStaff(staff)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendError(res, 409, ERROR_CODES.DUPLICATE_VALUE, 'A staff account with this email already exists', {
+        errors: { email: 'A staff account with this email already exists' },
+        fallbackFieldCode: 'already_exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields',
+        describeValidationError(error));
+    }
+
+    console.error('❌ Staff creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not create staff account'
+    });
+  }
+});
+
+// Change a staff member's role or enable/disable the account
+app.patch('/api/staff/:id', authenticateStaff, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { role, status } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff account not found'
+      });
+    }
+
+    if (String(req.staff._id) === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or status'
+      });
+    }
+
+    const update = {};
+    if (role !== undefined) update.role = role;
+    if (status !== undefined) update.status = status;
+
+    const staff = await Staff.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true });
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff account not found'
+      });
+    }
+
+    // Role and status changes take effect on the next request, not the next login
+    await Session.updateMany(
+      { subject: staff._id, subjectType: 'Staff', revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    console.log(`👮 Staff account updated: ${staff.email} by ${req.staff.email}`);
+
+    res.json({
+      success: true,
+      message: 'Staff account updated',
+      staff: toAuthStaff(staff)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields',
+        describeValidationError(error));
+    }
+
+    console.error('❌ Staff update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not update staff account'
+    });
+  }
+});
+
+// Download any player's ID card
+app.get('/api/admin/players/:id/id-card', authenticateStaff, requirePermission('players:read'), async (req, res) => {
+  try {
+    const player = await findPlayerByAnyId(req.params.id);
+
+    if (!player) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Player not found');
+    }
+
+    console.log(`🪪 ID card for ${player.playerId} downloaded by ${req.staff.email}`);
+    await sendPlayerIdCard(res, player);
+  } catch (error) {
+    console.error('❌ ID card error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Could not create ID card. Please try again.');
+  }
+});
+
+// Erase a player's personal data (right to erasure)
+app.post('/api/admin/players/:id/erase', authenticateStaff, requirePermission('players:erase'), async (req, res) => {
+  try {
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!reason) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'A reason is required to erase personal data');
+    }
+
+    const player = await findPlayerByAnyId(req.params.id);
+
+    if (!player) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Player not found');
+    }
+
+    if (player.erasure && player.erasure.erasedAt) {
+      return sendError(res, 409, ERROR_CODES.PLAYER_ERASED, 'Personal data for this player has already been erased');
+    }
+
+    await erasePlayerData(player, { erasedBy: req.staff.email, reason });
+
+    console.log(`🧹 Personal data erased for ${player.playerId} by ${req.staff.email}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: 'Personal data erased',
+      playerId: player.playerId,
+      sequenceNumber: player.sequenceNumber
+    });
+  } catch (error) {
+    console.error('❌ Erasure error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Could not erase personal data. Please try again.');
+  }
+});
+
+// Admin status actions - approve, reject, suspend or reactivate a player
+app.post('/api/admin/players/:id/:action(approve|reject|suspend|reactivate)', authenticateStaff, requirePermission('players:status'), async (req, res) => {
+  try {
+    const transition = STATUS_TRANSITIONS[req.params.action];
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!reason) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'A reason is required for every status change');
+    }
+
+    const player = await findPlayerByAnyId(req.params.id);
+
+    if (!player) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Player not found');
+    }
+
+    if (player.erasure && player.erasure.erasedAt) {
+      return sendError(res, 409, ERROR_CODES.PLAYER_ERASED, 'This player\'s personal data has been erased; the record cannot be changed');
+    }
+
+    // Only move the player if nobody changed the status in the meantime
+    const updatedPlayer = await Player.findOneAndUpdate(
+      { _id: player._id, status: { $in: transition.from } },
+      {
+        $set: { status: transition.to },
+        $push: {
+          statusHistory: {
+            from: player.status,
+            to: transition.to,
+            reason,
+            changedBy: req.staff.email,
+            changedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    ).select(PRIVATE_PLAYER_FIELDS);
+
+    if (!updatedPlayer) {
+      return sendError(res, 409, ERROR_CODES.INVALID_STATUS_TRANSITION, `Cannot ${req.params.action} a player whose status is ${player.status}`, {
+        status: player.status
+      });
+    }
+
+    // Players who can no longer sign in lose their open sessions
+    if (BLOCKED_LOGIN_STATUSES.includes(transition.to)) {
+      await revokePlayerSessions(player._id);
+    }
+
+    console.log(`🛂 Player ${player.playerId} ${player.status} -> ${transition.to}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: `Player status changed to ${transition.to}`,
+      player: updatedPlayer
+    });
+  } catch (error) {
+    console.error('❌ Player status change error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Could not change player status. Please try again.');
+  }
+});
+
+// Upload an age-proof document for the logged-in player
+app.post('/api/players/me/documents', authenticatePlayer, handleDocumentUpload, async (req, res) => {
+  try {
+    const { documentType } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`);
+    }
+
+    if (!req.file) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'No document uploaded');
+    }
+
+    // Do not trust the client-declared type alone
+    if (!hasExpectedSignature(req.file.buffer, req.file.mimetype)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Document content does not match its file type');
+    }
+
+    const storage = getStorage();
+    const { key, size } = await storage.save(req.file.buffer, {
+      extension: DOCUMENT_FORMATS[req.file.mimetype].extension
+    });
+
+    let document;
+    try {
+      document = await PlayerDocument.create({
+        player: req.player._id,
+        documentType,
+        storageKey: key,
+        originalName: req.file.originalname,
+        contentType: req.file.mimetype,
+        size
+      });
+    } catch (error) {
+      await storage.remove(key);
+      throw error;
+    }
+
+    if (!req.player.documentsVerified) {
+      await Player.updateOne(
+        { _id: req.player._id },
+        { $set: { documentsStatus: 'Pending Review' } }
+      );
+    }
+
+    console.log(`📄 Document uploaded for ${req.player.playerId}: ${documentType}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded and queued for review',
+      document: toDocumentSummary(document)
+    });
+  } catch (error) {
+    console.error('❌ Document upload error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Document upload failed. Please try again.');
+  }
+});
+
+// List the logged-in player's documents
+app.get('/api/players/me/documents', authenticatePlayer, async (req, res) => {
+  try {
+    const documents = await PlayerDocument.find({ player: req.player._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      documentsVerified: req.player.documentsVerified,
+      documentsStatus: req.player.documentsStatus,
+      documents: documents.map(toDocumentSummary)
+    });
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Error fetching documents');
+  }
+});
+
+// Admin review queue - oldest submissions first
+app.get('/api/admin/documents', authenticateStaff, requirePermission('documents:review'), async (req, res) => {
+  try {
+    const { status = 'Pending' } = req.query;
+    const statuses = PlayerDocument.schema.path('status').enumValues;
+
+    if (!statuses.includes(status)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid document status', {
+        errors: { status: `status must be one of: ${statuses.join(', ')}` }
+      });
+    }
+
+    // Missing or unreadable values fall back to the first page of the default size
+    const requestedLimit = parseInt(req.query.limit, 10);
+    const requestedPage = parseInt(req.query.page, 10);
+    const limitNum = requestedLimit > 0 ? Math.min(requestedLimit, DOCUMENT_PAGE_MAX) : DOCUMENT_PAGE_SIZE;
+    const pageNum = requestedPage > 0 ? requestedPage : 1;
+    const skip = (pageNum - 1) * limitNum;
+    const query = { status };
+
+    const documents = await PlayerDocument.find(query)
+      .populate('player', 'playerId firstName middleName lastName dateOfBirth documentsStatus')
+      .sort({ createdAt: 1 })
+      .limit(limitNum)
+      .skip(skip);
+
+    const totalCount = await PlayerDocument.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: documents.length,
+      totalCount,
+      currentPage: pageNum,
+      documents: documents.map(document => ({
+        ...toDocumentSummary(document),
+        player: document.player && {
+          playerId: document.player.playerId,
+          fullName: document.player.fullName,
+          dateOfBirth: document.player.dateOfBirth,
+          age: document.player.age,
+          documentsStatus: document.player.documentsStatus
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Error fetching review queue');
+  }
+});
+
+// Stream a submitted document to a reviewer
+app.get('/api/admin/documents/:id/file', authenticateStaff, requirePermission('documents:review'), async (req, res) => {
+  try {
+    const document = mongoose.isValidObjectId(req.params.id)
+      ? await PlayerDocument.findById(req.params.id)
+      : null;
+
+    if (!document) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Document not found');
+    }
+
+    const stream = getStorage().createReadStream(document.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading document file:', error);
+      if (!res.headersSent) {
+        sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Document file not found');
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="document-${document._id}${DOCUMENT_FORMATS[document.contentType].extension}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error fetching document file:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Error fetching document file');
+  }
+});
+
+// Approve or reject a submitted document
+app.post('/api/admin/documents/:id/:decision(approve|reject)', authenticateStaff, requirePermission('documents:review'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Pending document not found');
+    }
+
+    const approve = req.params.decision === 'approve';
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+    if (!approve && !reason) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'A reason is required when rejecting a document');
+    }
+
+    const review = {
+      status: approve ? 'Approved' : 'Rejected',
+      reviewedBy: req.staff.email,
+      reviewedAt: new Date()
+    };
+    if (reason) review.reviewNote = reason;
+
+    const document = await PlayerDocument.findOneAndUpdate(
+      { _id: req.params.id, status: 'Pending' },
+      { $set: review },
+      { new: true }
+    );
+
+    if (!document) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Pending document not found');
+    }
+
+    const player = await Player.findById(document.player);
+
+    if (player) {
+      if (approve) {
+        await Player.updateOne(
+          { _id: player._id },
+          { $set: { documentsVerified: true, documentsVerifiedAt: new Date(), documentsStatus: 'Verified' } }
+        );
+      } else if (!player.documentsVerified) {
+        // Only fall back to Rejected once nothing else is waiting for review
+        const stillPending = await PlayerDocument.exists({ player: player._id, status: 'Pending' });
+        await Player.updateOne(
+          { _id: player._id },
+          { $set: { documentsStatus: stillPending ? 'Pending Review' : 'Rejected' } }
+        );
+      }
+    }
+
+    console.log(`📄 Document ${document._id} ${document.status.toLowerCase()} for ${player ? player.playerId : 'unknown player'}`);
+
+    res.json({
+      success: true,
+      message: `Document ${document.status.toLowerCase()}`,
+      document: toDocumentSummary(document)
+    });
+  } catch (error) {
+    console.error('❌ Document review error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Document review failed. Please try again.');
+  }
+});
+
+// Player list page sizes - requests for more than the maximum get the maximum
+const PLAYER_PAGE_SIZE = parseInt(process.env.PLAYER_PAGE_SIZE || '50', 10);
+const PLAYER_PAGE_MAX = parseInt(process.env.PLAYER_PAGE_MAX || '200', 10);
+
+// Player list orders (?sort=name, ?sort=-registrationDate, ...). Each ends in
+// sequenceNumber so the order is total and cursors never skip or repeat a player.
+const PLAYER_LIST_SORTS = {
+  sequenceNumber: [['sequenceNumber', 1]],
+  registrationDate: [['registrationDate', 1], ['sequenceNumber', 1]],
+  name: [['lastName', 1], ['firstName', 1], ['sequenceNumber', 1]],
+  // Youngest first - later birth dates are younger players
+  age: [['dateOfBirth', -1], ['sequenceNumber', 1]],
+  // Best search matches first (the default when searching)
+  relevance: [['searchScore', -1], ['sequenceNumber', 1]]
+};
+
+// Player list filters that take one or more of a fixed set of values
+// (?role=Bowler,All Rounder). Matched case-insensitively.
+const PLAYER_LIST_CHOICE_FILTERS = {
+  role: PlayerFields.FIELDS.role.enum,
+  gender: PlayerFields.FIELDS.gender.enum,
+  battingStyle: PlayerFields.FIELDS.battingStyle.enum,
+  bowlingStyle: PlayerFields.FIELDS.bowlingStyle.enum,
+  bowlingArm: PlayerFields.FIELDS.bowlingArm.enum,
+  battingOrderPreference: PlayerFields.FIELDS.battingOrderPreference.enum,
+  state: PinCodes.STATES,
+  status: Player.schema.path('status').enumValues,
+  documentsStatus: Player.schema.path('documentsStatus').enumValues
+};
+
+// Free-text filters matched against the whole value, ignoring case and
+// accents - each is looked up in its normalized copy
+const PLAYER_LIST_TEXT_FILTERS = {
+  city: 'cityNormalized',
+  district: 'districtNormalized'
+};
+
+const PLAYER_LIST_FLAG_FILTERS = ['emailVerified', 'phoneVerified', 'documentsVerified'];
+
+// Helper function to read a filter that may list several values -
+// ?role=Bowler,Batsman or ?role=Bowler&role=Batsman
+function readListParam(value) {
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Helper function to turn an age range (whole years today) into a date of birth range
+function ageRangeToBirthDates(minAge, maxAge, today = new Date()) {
+  const yearsAgo = (years) => {
+    const date = new Date(today);
+    date.setFullYear(date.getFullYear() - years);
+    return date;
+  };
+
+  const range = {};
+  if (minAge !== undefined) range.$lte = yearsAgo(minAge);
+  if (maxAge !== undefined && maxAge !== Infinity) range.$gt = yearsAgo(maxAge + 1);
+  return range;
+}
+
+// Helper function to read a registration date filter. A bare date
+// (2024-05-31) covers the whole day, so "to" runs until the next midnight.
+function readDateParam(value, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(`${text}T00:00:00.000Z`);
+    if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) return null;
+    if (endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+    return { date, operator: endOfDay ? '$lt' : '$gte' };
+  }
+
+  const date = new Date(text);
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text) || isNaN(date.getTime())) return null;
+  return { date, operator: endOfDay ? '$lte' : '$gte' };
+}
+
+// Helper function to build the player list query from a request's search and
+// filters. Every filter given must match; the values of one filter are
+// alternatives. Returns { query, searchTerms, searchOptions } or { errors }.
+function buildPlayerListQuery(params, staff) {
+  const errors = {};
+  const conditions = [];
+
+  Object.entries(PLAYER_LIST_CHOICE_FILTERS).forEach(([param, allowed]) => {
+    if (params[param] === undefined) return;
+    const requested = readListParam(params[param]);
+    const values = requested.map(value => allowed.find(option => option.toLowerCase() === value.toLowerCase()));
+
+    if (requested.length === 0 || values.includes(undefined)) {
+      errors[param] = `${param} must be one or more of: ${allowed.join(', ')}`;
+    } else {
+      conditions.push({ [param]: { $in: [...new Set(values)] } });
+    }
+  });
+
+  Object.entries(PLAYER_LIST_TEXT_FILTERS).forEach(([param, path]) => {
+    if (params[param] === undefined) return;
+    const values = readListParam(params[param]);
+
+    if (values.length === 0 || values.some(value => value.length > 100)) {
+      errors[param] = `${param} must be one or more names of up to 100 characters`;
+    } else {
+      conditions.push({ [path]: { $in: [...new Set(values.map(normalizeText))] } });
+    }
+  });
+
+  PLAYER_LIST_FLAG_FILTERS.forEach(param => {
+    if (params[param] === undefined) return;
+
+    if (params[param] === 'true') {
+      conditions.push({ [param]: true });
+    } else if (params[param] === 'false') {
+      // Older records may not have the flag at all
+      conditions.push({ [param]: { $ne: true } });
+    } else {
+      errors[param] = `${param} must be true or false`;
+    }
+  });
+
+  // Age in whole years today, from ageMin and/or ageMax
+  const ages = {};
+  ['ageMin', 'ageMax'].forEach(param => {
+    if (params[param] === undefined) return;
+    const age = Number(params[param]);
+    if (!Number.isInteger(age) || age < 0 || age > 120) {
+      errors[param] = `${param} must be a whole number of years from 0 to 120`;
+    } else {
+      ages[param] = age;
+    }
+  });
+  if (ages.ageMin !== undefined && ages.ageMax !== undefined && ages.ageMin > ages.ageMax) {
+    errors.ageMax = 'ageMax must not be less than ageMin';
+  } else if (ages.ageMin !== undefined || ages.ageMax !== undefined) {
+    conditions.push({ dateOfBirth: ageRangeToBirthDates(ages.ageMin, ages.ageMax) });
+  }
+
+  // Age groups as reported by Player ID verification (Under 19 is 17 and 18
+  // year olds - younger players are in Under 16 or Under 14). "U19" works too.
+  if (params.ageGroup !== undefined) {
+    const groupKey = (value) => value.toLowerCase().replace(/\s+/g, '').replace(/^under/, 'u');
+    const requested = readListParam(params.ageGroup);
+    const groups = requested.map(value => {
+      const index = AGE_GROUPS.findIndex(({ label }) => groupKey(label) === groupKey(value));
+      if (index === -1) return null;
+      return {
+        minAge: index > 0 ? AGE_GROUPS[index - 1].maxAge + 1 : undefined,
+        maxAge: AGE_GROUPS[index].maxAge
+      };
+    });
+
+    if (requested.length === 0 || groups.includes(null)) {
+      errors.ageGroup = `ageGroup must be one or more of: ${AGE_GROUPS.map(({ label }) => label).join(', ')}`;
+    } else {
+      conditions.push({
+        $or: groups.map(({ minAge, maxAge }) => ({ dateOfBirth: ageRangeToBirthDates(minAge, maxAge) }))
+      });
+    }
+  }
+
+  const registered = {};
+  [['registeredFrom', false], ['registeredTo', true]].forEach(([param, endOfDay]) => {
+    if (params[param] === undefined) return;
+    const bound = readDateParam(params[param], { endOfDay });
+    if (!bound) {
+      errors[param] = `${param} must be a date (YYYY-MM-DD) or an ISO 8601 date and time`;
+    } else {
+      registered[bound.operator] = bound.date;
+    }
+  });
+  const registeredUntil = registered.$lt || registered.$lte;
+  if (registered.$gte && registeredUntil &&
+      (registered.$lt ? registered.$gte >= registeredUntil : registered.$gte > registeredUntil)) {
+    errors.registeredTo = 'registeredTo must not be before registeredFrom';
+  } else if (Object.keys(registered).length > 0) {
+    conditions.push({ registrationDate: registered });
+  }
+
+  // Searching by email or phone would let staff without PII access probe contact details
+  const searchTerms = params.search ? parseSearchTerms(params.search) : [];
+  const searchOptions = { includePrivate: hasPermission(staff.role, 'players:read-pii') };
+  if (searchTerms.length > 0) {
+    conditions.push(buildSearchFilter(searchTerms, searchOptions));
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return {
+    query: conditions.length > 0 ? { $and: conditions } : {},
+    searchTerms,
+    searchOptions
+  };
+}
+
+// Helper function to look up a ?sort= option ("name", "-registrationDate")
+function getPlayerListSort(sortKey) {
+  const key = sortKey.replace(/^-/, '');
+  return Object.prototype.hasOwnProperty.call(PLAYER_LIST_SORTS, key) ? PLAYER_LIST_SORTS[key] : null;
+}
+
+// Virtuals that can be requested with ?fields= and the paths they are built from
+const PLAYER_LIST_VIRTUALS = {
+  fullName: ['firstName', 'middleName', 'lastName'],
+  age: ['dateOfBirth']
+};
+
+// Helper function to work out the ?fields= projection for a staff member.
+// Returns { fields, paths } or { error, status } for unknown or hidden fields.
+function resolvePlayerListFields(fieldsParam, staff) {
+  const requested = [...new Set(String(fieldsParam).split(',').map(field => field.trim()).filter(Boolean))];
+  const selectable = new Set([
+    ...Object.keys(Player.schema.paths).map(path => path.split('.')[0]),
+    ...Object.keys(PLAYER_LIST_VIRTUALS)
+  ]);
+  PRIVATE_PLAYER_FIELD_NAMES.forEach(field => selectable.delete(field));
+  selectable.delete('__v');
+
+  const unknown = requested.filter(field => !selectable.has(field));
+  if (requested.length === 0 || unknown.length > 0) {
+    return {
+      status: 400,
+      error: requested.length === 0
+        ? 'fields must list at least one field'
+        : `Unknown fields: ${unknown.join(', ')}`
+    };
+  }
+
+  if (!hasPermission(staff.role, 'players:read-pii')) {
+    const hidden = requested.filter(field => PLAYER_PII_FIELDS.includes(field));
+    if (hidden.length > 0) {
+      return { status: 403, error: `You do not have permission to read: ${hidden.join(', ')}` };
+    }
+  }
+
+  const paths = new Set(['sequenceNumber']);
+  requested.forEach(field => (PLAYER_LIST_VIRTUALS[field] || [field]).forEach(path => paths.add(path)));
+
+  return { fields: requested, paths: [...paths] };
+}
+
+// List players - a page at a time, in keyset order, narrowed by ?search= and
+// the filters in buildPlayerListQuery. Pass the returned nextCursor as
+// ?cursor= for the following page; ?includeTotal=true adds the number of
+// matching players (an extra count, so only on request).
+app.get('/api/players', authenticateStaff, requirePermission('players:read'), async (req, res) => {
   try {
-    const counter = await Counter.findById('player_sequence');
-    const currentSequence = counter ? counter.sequence_value : 0;
+    const { cursor, fields } = req.query;
+
+    const hiddenParams = getHiddenListParams(req.staff.role, req.query);
+    if (hiddenParams.length > 0) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, `You do not have permission to filter or sort by: ${hiddenParams.join(', ')}`);
+    }
+
+    const filters = buildPlayerListQuery(req.query, req.staff);
+    if (filters.errors) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the filters', {
+        errors: filters.errors
+      });
+    }
+    const { query, searchTerms, searchOptions } = filters;
+
+    const sortKey = String(req.query.sort || (searchTerms.length > 0 ? 'relevance' : 'sequenceNumber'));
+    const includeTotal = req.query.includeTotal === 'true';
+
+    const baseSort = getPlayerListSort(sortKey);
+    if (!baseSort) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid sort order', {
+        errors: { sort: `sort must be one of: ${Object.keys(PLAYER_LIST_SORTS).join(', ')} (prefix with - to reverse)` }
+      });
+    }
+    const sort = sortKey.startsWith('-') ? reverseSort(baseSort) : baseSort;
+    const collation = sortKey.replace(/^-/, '') === 'name' ? NAME_COLLATION : null;
+    const ranked = sortKey.replace(/^-/, '') === 'relevance';
+    if (ranked && searchTerms.length === 0) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid sort order', {
+        errors: { sort: 'sort=relevance needs a search' }
+      });
+    }
+
+    const limit = req.query.limit === undefined ? PLAYER_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid page size', {
+        errors: { limit: `limit must be a whole number from 1 to ${PLAYER_PAGE_MAX}` }
+      });
+    }
+    const pageSize = Math.min(limit, PLAYER_PAGE_MAX);
+
+    let projection = null;
+    if (fields !== undefined) {
+      projection = resolvePlayerListFields(fields, req.staff);
+      if (projection.error) {
+        return projection.status === 403
+          ? sendError(res, 403, ERROR_CODES.FORBIDDEN, projection.error)
+          : sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, projection.error, {
+            errors: { fields: projection.error }
+          });
+      }
+    }
+
+    // The cursor names the last player of the previous page rather than
+    // carrying its sort values, so it reveals nothing the caller cannot see
+    let keyset = null;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      const valid = position && position.sort === sortKey && Number.isInteger(position.after);
+      let anchor = null;
+      if (valid && ranked) {
+        [anchor] = await Player.aggregate([
+          { $match: { sequenceNumber: position.after } },
+          { $project: { sequenceNumber: 1, searchScore: buildSearchScore(searchTerms, searchOptions) } }
+        ]);
+      } else if (valid) {
+        anchor = await Player.findOne({ sequenceNumber: position.after })
+          .select(sort.map(([path]) => path).join(' '))
+          .lean();
+      }
+
+      if (!anchor) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'This page link has expired - start again from the first page', {
+          errors: { cursor: 'Invalid cursor' }
+        });
+      }
+      keyset = buildKeysetFilter(sort, anchor);
+    }
+
+    // One extra row tells us whether there is another page
+    let finder;
+    if (ranked) {
+      // The score only exists inside the pipeline, so the keyset is applied after it
+      finder = Player.aggregate([
+        { $match: query },
+        { $addFields: { searchScore: buildSearchScore(searchTerms, searchOptions) } },
+        ...(keyset ? [{ $match: keyset }] : []),
+        { $sort: toSortObject(sort) },
+        { $limit: pageSize + 1 },
+        {
+          $project: projection
+            ? Object.fromEntries(projection.paths.map(path => [path, 1]))
+            : Object.fromEntries([...PRIVATE_PLAYER_FIELD_NAMES, 'searchScore'].map(field => [field, 0]))
+        }
+      ]).then(results => results.map(result => {
+        delete result.searchScore;
+        return Player.hydrate(result);
+      }));
+    } else {
+      finder = Player.find(keyset ? { $and: [query, keyset] } : query)
+        .select(projection ? projection.paths.join(' ') : PRIVATE_PLAYER_FIELDS)
+        .sort(toSortObject(sort))
+        .limit(pageSize + 1);
+      if (collation) finder.collation(collation);
+    }
+
+    const [rows, totalCount] = await Promise.all([
+      finder,
+      includeTotal ? Player.countDocuments(query) : null
+    ]);
+
+    const hasMore = rows.length > pageSize;
+    const players = hasMore ? rows.slice(0, pageSize) : rows;
+    const last = players[players.length - 1];
+
+    const views = players.map(player => {
+      const view = toStaffPlayerView(player, req.staff);
+      return projection
+        ? Object.fromEntries(projection.fields.map(field => [field, view[field]]))
+        : view;
+    });
 
     res.json({
       success: true,
-      currentSequence,
-     nextPlayerId: (
-    `idsc${String(currentSequence + 1).padStart(2, '0')}${new Date().toLocaleDateString('en-GB', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric'
-    }).replace(/\//g, '')}`
-  ).toUpperCase()
+      count: players.length,
+      limit: pageSize,
+      sort: sortKey,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ sort: sortKey, after: last.sequenceNumber }) : null,
+      ...(includeTotal && { totalCount }),
+      players: views
     });
   } catch (error) {
+    console.error('Error fetching players:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching sequence',
-      error: error.message
+      message: 'Error fetching players'
     });
   }
 });
 
-// Player registration endpoint with NEW ID LOGIC
-app.post('/api/players/register', async (req, res) => {
-  try {
-    const {
-      firstName,
-      middleName,
-      lastName,
-      dateOfBirth,
-      gender,
-      email,
-      phone,
-      streetAddress,
-      city,
-      state,
-      postalCode,
-      country,
-      primarySport,
-      role,
-      battingOrderPreference,
-      bowlingStyle,
-      battingStyle,
-      bowlingArm,
-      username,
-      password,
-      clientTimestamp,
-      clientRandom
-    } = req.body;
-
-    console.log('📝 Registration request received for:', firstName, lastName);
+// Columns a player list export can include (?columns=playerId,fullName,...),
+// in the order they appear by default. Those read from a field in
+// PLAYER_PII_FIELDS - including age and age group, from dateOfBirth - need
+// players:read-pii.
+const PLAYER_EXPORT_COLUMNS = {
+  playerId: { header: 'Player ID', paths: ['playerId'], value: player => player.playerId },
+  fullName: {
+    header: 'Full name',
+    paths: ['firstName', 'middleName', 'lastName'],
+    value: player => [player.firstName, player.middleName, player.lastName].filter(Boolean).join(' '),
+    width: 28
+  },
+  age: {
+    header: 'Age',
+    paths: ['dateOfBirth'],
+    value: player => (player.dateOfBirth ? PlayerFields.calculateAge(player.dateOfBirth) : null)
+  },
+  ageGroup: {
+    header: 'Age group',
+    paths: ['dateOfBirth'],
+    value: player => (player.dateOfBirth ? getAgeGroup(PlayerFields.calculateAge(player.dateOfBirth)) : null)
+  },
+  gender: { header: 'Gender', paths: ['gender'], value: player => player.gender },
+  role: { header: 'Playing role', paths: ['role'], value: player => player.role, width: 16 },
+  battingStyle: { header: 'Batting style', paths: ['battingStyle'], value: player => player.battingStyle, width: 18 },
+  battingOrderPreference: {
+    header: 'Batting order',
+    paths: ['battingOrderPreference'],
+    value: player => player.battingOrderPreference,
+    width: 16
+  },
+  bowlingStyle: { header: 'Bowling style', paths: ['bowlingStyle'], value: player => player.bowlingStyle },
+  bowlingArm: { header: 'Bowling arm', paths: ['bowlingArm'], value: player => player.bowlingArm, width: 16 },
+  city: { header: 'City', paths: ['city'], value: player => player.city, width: 18 },
+  district: { header: 'District', paths: ['district'], value: player => player.district, width: 18 },
+  state: { header: 'State', paths: ['state'], value: player => player.state, width: 18 },
+  status: { header: 'Status', paths: ['status'], value: player => player.status },
+  emailVerified: { header: 'Email verified', paths: ['emailVerified'], value: player => !!player.emailVerified },
+  phoneVerified: { header: 'Phone verified', paths: ['phoneVerified'], value: player => !!player.phoneVerified },
+  documentsVerified: {
+    header: 'Documents verified',
+    paths: ['documentsVerified'],
+    value: player => !!player.documentsVerified,
+    width: 20
+  },
+  registrationDate: {
+    header: 'Registered',
+    paths: ['registrationDate'],
+    value: player => player.registrationDate,
+    type: 'datetime',
+    width: 18
+  },
+  username: { header: 'Username', paths: ['username'], value: player => player.username, width: 18 },
+  email: { header: 'Email', paths: ['email'], value: player => player.email, width: 30 },
+  phone: { header: 'Phone', paths: ['phone'], value: player => player.phone, width: 16 },
+  dateOfBirth: {
+    header: 'Date of birth',
+    paths: ['dateOfBirth'],
+    value: player => player.dateOfBirth,
+    type: 'date'
+  },
+  streetAddress: { header: 'Street address', paths: ['streetAddress'], value: player => player.streetAddress, width: 30 },
+  postalCode: { header: 'PIN code', paths: ['postalCode'], value: player => player.postalCode }
+};
 
-    // Validate required fields  .toUpperCase()
-    const requiredFields = {
-      firstName, lastName, dateOfBirth, gender, email, phone,
-      streetAddress, city, state, postalCode, role,
-      battingOrderPreference, battingStyle, username, password
-    };
+// Exported when no ?columns= are given (less the PII ones for staff without players:read-pii)
+const DEFAULT_PLAYER_EXPORT_COLUMNS = [
+  'playerId', 'fullName', 'age', 'role', 'battingStyle', 'bowlingStyle', 'bowlingArm',
+  'city', 'state', 'status', 'emailVerified', 'phoneVerified', 'documentsVerified'
+];
 
-    const missingFields = Object.keys(requiredFields).filter(key => !requiredFields[key]);
-    if (missingFields.length > 0) {
-      console.log('❌ Missing fields:', missingFields);
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields',
-        missingFields
-      });
-    }
+// Helper function to tell whether an export column reads any PII field
+function isPiiExportColumn(key) {
+  return PLAYER_EXPORT_COLUMNS[key].paths.some(path => PLAYER_PII_FIELDS.includes(path));
+}
 
-    // Validate unique fields
-    // const validationErrors = await validateUniqueFields({
-    //   email,
-    //   username,
-    //   phone
-    // });
-
-    // if (validationErrors.length > 0) {
-    //   console.log('❌ Validation errors:', validationErrors);
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Validation failed',
-    //     errors: validationErrors
-    //   });
-    // }
+const PLAYER_EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    write: (stream, columns, rows) => writeXlsx(stream, columns, rows, { sheetName: 'Players' })
+  }
+};
 
-    // Generate unique IDs with NEW LOGIC
-    const { playerId, sequenceNumber } = await generateUniquePlayerId();
-    const userId = await generateUniqueUserId({
-      firstName,
-      lastName,
-      email,
-      clientTimestamp,
-      clientRandom
+// Export players as CSV or Excel - same filters and sort orders as
+// GET /api/players (except relevance), every matching player, streamed
+// straight from the database cursor
+app.get('/api/players/export', authenticateStaff, requirePermission('players:export'), async (req, res) => {
+  const formatKey = String(req.query.format || 'csv').toLowerCase();
+  const format = Object.prototype.hasOwnProperty.call(PLAYER_EXPORT_FORMATS, formatKey) ? PLAYER_EXPORT_FORMATS[formatKey] : null;
+  if (!format) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid export format', {
+      errors: { format: `format must be one of: ${Object.keys(PLAYER_EXPORT_FORMATS).join(', ')}` }
     });
+  }
 
-    console.log(`🆔 Generated IDs - Player: ${playerId}, User: ${userId}, Sequence: ${sequenceNumber}`);
+  const hiddenParams = getHiddenListParams(req.staff.role, req.query);
+  if (hiddenParams.length > 0) {
+    return sendError(res, 403, ERROR_CODES.FORBIDDEN, `You do not have permission to filter or sort by: ${hiddenParams.join(', ')}`);
+  }
 
-    // Create registration metadata
-    const registrationMetadata = {
-      ip: req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown',
-      userAgent: req.headers['user-agent'] || 'unknown',
-      timestamp: new Date(),
-      clientTimestamp: clientTimestamp || Date.now(),
-      clientRandom: clientRandom || 'none'
-    };
+  const filters = buildPlayerListQuery(req.query, req.staff);
+  if (filters.errors) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the filters', {
+      errors: filters.errors
+    });
+  }
 
-    // Create new player with unique IDs
-    const newPlayer = new Player({
-      playerId,
-      userId,
-      sequenceNumber,
-      firstName,
-      middleName,
-      lastName,
-      dateOfBirth: new Date(dateOfBirth),
-      gender,
-      email: email.toLowerCase().trim(),
-      phone: phone.trim(),
-      streetAddress,
-      city,
-      state,
-      postalCode,
-      country: country || 'India',
-      primarySport: primarySport || 'Cricket',
-      role,
-      battingOrderPreference,
-      bowlingStyle,
-      battingStyle,
-      bowlingArm,
-      username: username.trim(),
-      password,
-      registrationMetadata
+  const sortKey = String(req.query.sort || 'sequenceNumber');
+  const baseSort = getPlayerListSort(sortKey);
+  if (!baseSort || sortKey.replace(/^-/, '') === 'relevance') {
+    const sorts = Object.keys(PLAYER_LIST_SORTS).filter(key => key !== 'relevance');
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Invalid sort order', {
+      errors: { sort: `sort must be one of: ${sorts.join(', ')} (prefix with - to reverse)` }
     });
+  }
+  const sort = sortKey.startsWith('-') ? reverseSort(baseSort) : baseSort;
 
-    // Save player to database
-    const savedPlayer = await newPlayer.save();
+  const canReadPii = hasPermission(req.staff.role, 'players:read-pii');
+  const columnKeys = req.query.columns === undefined
+    ? DEFAULT_PLAYER_EXPORT_COLUMNS.filter(key => canReadPii || !isPiiExportColumn(key))
+    : [...new Set(String(req.query.columns).split(',').map(key => key.trim()).filter(Boolean))];
+  const unknown = columnKeys.filter(key => !Object.prototype.hasOwnProperty.call(PLAYER_EXPORT_COLUMNS, key));
+  if (columnKeys.length === 0 || unknown.length > 0) {
+    const message = columnKeys.length === 0 ? 'columns must list at least one column' : `Unknown columns: ${unknown.join(', ')}`;
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, message, {
+      errors: { columns: `${message}. Available: ${Object.keys(PLAYER_EXPORT_COLUMNS).join(', ')}` }
+    });
+  }
 
-    // Return success response (without password and sensitive data)
-    const responseData = {
-      success: true,
-      message: 'Registration successful! Welcome to IDCS Cricket Community!',
-      playerId: savedPlayer.playerId,
-      userId: savedPlayer.userId,
-      sequenceNumber: savedPlayer.sequenceNumber,
-      fullName: savedPlayer.fullName,
-      email: savedPlayer.email,
-      phone: savedPlayer.phone,
-      city: savedPlayer.city,
-      state: savedPlayer.state,
-      role: savedPlayer.role,
-      registrationDate: savedPlayer.registrationDate,
-      status: savedPlayer.status
-    };
+  if (!canReadPii) {
+    const hidden = columnKeys.filter(isPiiExportColumn);
+    if (hidden.length > 0) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, `You do not have permission to export: ${hidden.join(', ')}`);
+    }
+  }
 
-    // Log successful registration
-    console.log(`✅ Player registered successfully: ${savedPlayer.playerId} - ${savedPlayer.fullName}`);
+  const columns = columnKeys.map(key => PLAYER_EXPORT_COLUMNS[key]);
+  const paths = [...new Set(columns.flatMap(column => column.paths))];
 
-    res.status(201).json(responseData);
+  const finder = Player.find(filters.query)
+    .select(paths.join(' '))
+    .sort(toSortObject(sort))
+    .lean();
+  if (sortKey.replace(/^-/, '') === 'name') finder.collation(NAME_COLLATION);
+  const cursor = finder.cursor();
+
+  // Stop reading from the database if the download is abandoned
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  const fileName = `IDCS_Players_${new Date().toISOString().slice(0, 10)}.${formatKey}`;
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
 
+  try {
+    const count = await format.write(res, columns, cursor);
+    if (res.writableEnded) {
+      console.log(`📤 ${count} players exported as ${formatKey} by ${req.staff.email}`);
+    } else {
+      console.log(`⚠️ ${formatKey} export by ${req.staff.email} abandoned after ${count} players`);
+    }
   } catch (error) {
-    console.error('❌ Registration error:', error);
+    // Headers and part of the file are already sent - all we can do is cut it short
+    console.error('❌ Player export error:', error);
+    res.destroy(error);
+  }
+});
 
-    // Handle specific MongoDB errors
-    if (error.code === 11000) {
-      const field = Object.keys(error.keyPattern)[0];
-      const fieldName = field === 'playerId' ? 'Player ID' : 
-                       field === 'userId' ? 'User ID' : 
-                       field.charAt(0).toUpperCase() + field.slice(1);
+// Update a player profile - players may edit their own record ("me" or their
+// own ID), staff with players:update may edit anyone
+app.patch('/api/players/:id', authenticatePlayerOrStaff, async (req, res) => {
+  try {
+    const isStaff = !!req.staff;
 
-      return res.status(400).json({
-        success: false,
-        message: `${fieldName} already exists. Please try again.`,
-        field
+    if (isStaff && !hasPermission(req.staff.role, 'players:update')) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'You do not have permission to perform this action');
+    }
+
+    let player;
+    if (isStaff) {
+      player = await findPlayerByAnyId(req.params.id);
+    } else {
+      const ownIds = ['me', req.player.playerId, req.player.userId, String(req.player._id)];
+      if (!ownIds.includes(req.params.id)) {
+        return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'You can only update your own profile');
+      }
+      player = req.player;
+    }
+
+    if (!player) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Player not found');
+    }
+
+    if (player.erasure && player.erasure.erasedAt) {
+      return sendError(res, 409, ERROR_CODES.PLAYER_ERASED, 'This player\'s personal data has been erased; the record cannot be changed');
+    }
+
+    const editableFields = isStaff
+      ? [...PLAYER_EDITABLE_FIELDS, ...ADMIN_ONLY_PLAYER_FIELDS]
+      : PLAYER_EDITABLE_FIELDS;
+    const errors = {};
+    const fieldCodes = {};
+    const changes = {};
+
+    Object.keys(req.body || {}).forEach(field => {
+      if (editableFields.includes(field)) {
+        changes[field] = req.body[field];
+      } else if (ADMIN_ONLY_PLAYER_FIELDS.includes(field)) {
+        errors[field] = 'Only administrators can change this field';
+        fieldCodes[field] = 'admin_only';
+      } else {
+        errors[field] = 'This field cannot be changed here';
+        fieldCodes[field] = 'not_editable';
+      }
+    });
+
+    // Rules shared with registration, on the submitted fields only
+    const { errors: specErrors, codes: specCodes, values } = PlayerFields.validatePlayer(changes, { partial: true });
+    Object.assign(errors, specErrors);
+    Object.assign(fieldCodes, specCodes);
+    const usernameProblem = !errors.username && checkUsernameShape(values.username);
+    if (usernameProblem) {
+      errors.username = usernameProblem.message;
+      fieldCodes.username = usernameProblem.code;
+    }
+
+    // Identity fields are not in the shared spec: a Player ID has to match the
+    // configured format (check digit included), a User ID can't be blank
+    if ('playerId' in changes) {
+      const playerId = typeof changes.playerId === 'string' ? changes.playerId.trim().toUpperCase() : '';
+      if (!getPlayerIdFormat().isValid(playerId)) {
+        errors.playerId = `Player ID must be in the format ${getPlayerIdFormat().describe().pattern}`;
+        fieldCodes.playerId = 'invalid_format';
+      } else {
+        changes.playerId = playerId;
+      }
+    }
+    if ('userId' in changes) {
+      const userId = typeof changes.userId === 'string' ? changes.userId.trim() : '';
+      if (!userId) {
+        errors.userId = 'User ID is required';
+        fieldCodes.userId = 'required';
+      } else {
+        changes.userId = userId;
+      }
+    }
+
+    // A new PIN code has to fit the state on file, and a new state the PIN code
+    if (!errors.state && !errors.postalCode && ('state' in values || 'postalCode' in values)) {
+      const consistency = PlayerFields.checkConsistency({
+        state: player.state,
+        postalCode: player.postalCode,
+        ...values
       });
+      Object.assign(errors, consistency.errors);
+      Object.assign(fieldCodes, consistency.codes);
     }
 
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields', {
+        errors,
+        fieldCodes
       });
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Registration failed. Please try again.',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    // Fields cleared with an empty value are removed (only optional ones get this far)
+    Object.keys(changes).forEach(field => {
+      if (field in values) changes[field] = values[field];
+      else if (PlayerFields.FIELDS[field]) changes[field] = undefined;
     });
-  }
-});
 
-// Get all players endpoint
-app.get('/api/players', async (req, res) => {
-  try {
-    const { search, limit = 50, page = 1, role, state } = req.query;
+    player.set(changes);
+    const changedFields = Object.keys(changes).filter(field => player.isModified(field));
 
-    // Build query
-    let query = {};
+    if (changedFields.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        player: toPlayerProfile(player)
+      });
+    }
+
+    // Same schema rules as registration, applied to the changed fields only
+    try {
+      await player.validate(changedFields);
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+      const described = describeValidationError(validationError);
+      Object.assign(errors, described.errors);
+      Object.assign(fieldCodes, described.fieldCodes);
+    }
 
-    if (search) {
-      query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { playerId: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { city: { $regex: search, $options: 'i' } }
-      ];
+    if (Object.keys(errors).length > 0) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Please correct the highlighted fields', {
+        errors,
+        fieldCodes
+      });
     }
 
-    if (role) {
-      query.role = role;
+    const uniqueErrors = await validateUniqueFields({
+      email: changedFields.includes('email') ? player.email : undefined,
+      username: changedFields.includes('username') ? player.username : undefined,
+      phone: changedFields.includes('phone') ? player.phone : undefined,
+      playerId: changedFields.includes('playerId') ? player.playerId : undefined,
+      userId: changedFields.includes('userId') ? player.userId : undefined
+    }, player._id);
+
+    if (Object.keys(uniqueErrors).length > 0) {
+      return sendError(res, 409, ERROR_CODES.DUPLICATE_VALUE, 'Some details are already registered', {
+        errors: uniqueErrors,
+        fallbackFieldCode: 'already_exists'
+      });
     }
 
-    if (state) {
-      query.state = state;
+    // New contact details have to be verified again
+    if (changedFields.includes('email')) {
+      player.emailVerified = false;
+      player.emailVerifiedAt = undefined;
+    }
+    if (changedFields.includes('phone')) {
+      player.phoneVerified = false;
+      player.phoneVerifiedAt = undefined;
     }
 
-    // Calculate pagination
-    const limitNum = parseInt(limit);
-    const skip = (parseInt(page) - 1) * limitNum;
+    await player.save({ validateModifiedOnly: true });
 
-    // Get players with pagination
-    const players = await Player.find(query)
-      .select('-password -registrationMetadata')
-      .sort({ sequenceNumber: 1, registrationDate: -1 })
-      .limit(limitNum)
-      .skip(skip);
+    if (changedFields.includes('email')) {
+      try {
+        await sendVerificationEmail(player);
+      } catch (mailError) {
+        console.error('⚠️ Could not send verification email:', mailError.message);
+      }
+    }
 
-    // Get total count for pagination
-    const totalCount = await Player.countDocuments(query);
-    const totalPages = Math.ceil(totalCount / limitNum);
+    console.log(`✏️ Player ${player.playerId} updated by ${isStaff ? req.staff.email : 'self'}: ${changedFields.join(', ')}`);
 
     res.json({
       success: true,
-      count: players.length,
-      totalCount,
-      totalPages,
-      currentPage: parseInt(page),
-      players
+      message: 'Profile updated successfully',
+      updatedFields: changedFields,
+      player: isStaff ? toStaffPlayerView(player, req.staff) : toPlayerProfile(player)
     });
   } catch (error) {
-    console.error('Error fetching players:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching players'
-    });
+    if (error.code === 11000) {
+      const field = getDuplicateKeyField(error);
+      return sendError(res, 409, ERROR_CODES.DUPLICATE_VALUE, 'Some details are already registered', {
+        errors: { [field]: DUPLICATE_FIELD_MESSAGES[field] || 'This value is already in use' },
+        fallbackFieldCode: 'already_exists'
+      });
+    }
+
+    console.error('❌ Player update error:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Could not update player. Please try again.');
   }
 });
 
 // Get player by ID (Player ID or User ID)
-app.get('/api/players/:id', async (req, res) => {
+app.get('/api/players/:id', authenticateStaff, requirePermission('players:read'), async (req, res) => {
   try {
-    const player = await Player.findOne({
-      $or: [
-        { playerId: req.params.id },
-        { userId: req.params.id },
-        { _id: req.params.id }
-      ]
-    }).select('-password -registrationMetadata');
+    const player = await findPlayerByAnyId(req.params.id, PRIVATE_PLAYER_FIELDS);
 
     if (!player) {
       return res.status(404).json({
@@ -730,7 +4097,7 @@ app.get('/api/players/:id', async (req, res) => {
 
     res.json({
       success: true,
-      player
+      player: toStaffPlayerView(player, req.staff)
     });
   } catch (error) {
     console.error('Error fetching player:', error);
@@ -742,13 +4109,22 @@ app.get('/api/players/:id', async (req, res) => {
 });
 
 // Get registration statistics
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', authenticateStaff, requirePermission('stats:read'), async (req, res) => {
   try {
     const totalPlayers = await Player.countDocuments();
-    const activeUsers = await Player.countDocuments({ status: 'Active' });
 
-    const currentSequence = await Counter.findById('player_sequence');
-    const nextSequenceNumber = currentSequence ? currentSequence.sequence_value + 1 : 1;
+    const statusStats = await Player.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const statusCounts = Object.fromEntries(
+      Player.schema.path('status').enumValues.map(value => [value, 0])
+    );
+    statusStats.forEach(({ _id, count }) => {
+      if (_id) statusCounts[_id] = count;
+    });
+    const activeUsers = statusCounts.Active;
+
+    const sequencePreview = await previewNextPlayerId();
 
     const roleStats = await Player.aggregate([
       { $group: { _id: '$role', count: { $sum: 1 } } }
@@ -760,6 +4136,13 @@ app.get('/api/stats', async (req, res) => {
       { $limit: 10 }
     ]);
 
+    const districtStats = await Player.aggregate([
+      { $match: { district: { $exists: true, $ne: null } } },
+      { $group: { _id: { state: '$state', district: '$district' }, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ]);
+
     const recentRegistrations = await Player.aggregate([
       {
         $group: {
@@ -776,24 +4159,19 @@ app.get('/api/stats', async (req, res) => {
       { $limit: 7 }
     ]);
 
-    // Get today's date in ddmmyyyy format for next Player ID preview
-    const now = new Date();
-    const day = String(now.getDate()).padStart(2, '0');
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const year = now.getFullYear();
-    const dateStr = `${day}${month}${year}`;
-    const nextPlayerId = `idsc${String(nextSequenceNumber).padStart(2, '0')}${dateStr}`;
-
     res.json({
       success: true,
       stats: {
         totalPlayers,
         activeUsers,
-        currentSequence: currentSequence ? currentSequence.sequence_value : 0,
-        nextSequenceNumber,
-        nextPlayerId,
+        pendingApprovals: statusCounts.Pending,
+        statuses: statusCounts,
+        currentSequence: sequencePreview.currentSequence,
+        nextSequenceNumber: sequencePreview.nextSequenceNumber,
+        nextPlayerId: sequencePreview.nextPlayerId,
         roles: roleStats,
         topStates: stateStats,
+        topDistricts: districtStats.map(({ _id, count }) => ({ ..._id, count })),
         recentRegistrations
       }
     });
@@ -809,19 +4187,14 @@ app.get('/api/stats', async (req, res) => {
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!',
+  sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Something went wrong!', {
     error: process.env.NODE_ENV === 'development' ? error.message : undefined
   });
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
+  sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Route not found');
 });
 
 // Graceful shutdown
@@ -844,12 +4217,15 @@ app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📝 Registration form: http://localhost:${PORT}`);
     console.log(`🔗 API endpoint: http://localhost:${PORT}/api/players/register`);
+    console.log(`🔑 Player login: http://localhost:${PORT}/api/auth/login`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
     console.log(`📈 Statistics: http://localhost:${PORT}/api/stats`);
     console.log(`🔢 Sequence check: http://localhost:${PORT}/api/sequence`);
+    console.log(`🕳️ Sequence gaps: http://localhost:${PORT}/api/admin/sequence/gaps`);
+    console.log(`🔎 Player ID verification: http://localhost:${PORT}/api/verify/:playerId`);
     console.log('===================================================');
-    console.log('🆔 Player ID Format: idsc + sequence + ddmmyyyy');
-    console.log('📅 Example: idsc0104102025, idsc0204102025, idsc0304102025');
+    console.log(`🆔 Player ID Format: ${getPlayerIdFormat().describe().pattern}`);
+    console.log(`📅 Example: ${getPlayerIdFormat().format({ sequence: 1 })}`);
     console.log('===================================================\n');
 });
 
@@ -0,0 +1,152 @@
+/**
+ * emailRules.js - Email address rules for IDCS Cricket Registration
+ *
+ * Checks that can run without network access: the shape of the address and
+ * its domain (the same limits a mail server enforces before any MX lookup),
+ * domains that cannot receive mail, common misspellings of the big
+ * providers and a blocklist of disposable inbox services. Also builds the
+ * canonical form used to spot the same inbox registered twice.
+ *
+ * Loaded with require() on the server and served to the browser as
+ * /shared/emailRules.js, where it defines window.EmailRules.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EmailRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Throwaway inbox services. Subdomains are blocked too.
+    const DISPOSABLE_DOMAINS = [
+        '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com',
+        'anonbox.net', 'burnermail.io', 'discard.email', 'dispostable.com',
+        'dropmail.me', 'emailondeck.com', 'fakeinbox.com', 'fakemail.net',
+        'getairmail.com', 'getnada.com', 'guerrillamail.biz', 'guerrillamail.com',
+        'guerrillamail.de', 'guerrillamail.info', 'guerrillamail.net',
+        'guerrillamail.org', 'guerrillamailblock.com', 'harakirimail.com',
+        'inboxbear.com', 'incognitomail.org', 'jetable.org', 'mail-temp.com',
+        'mailcatch.com', 'maildrop.cc', 'mailinator.com', 'mailinator.net',
+        'mailinator2.com', 'mailnesia.com', 'mailpoof.com', 'mailsac.com',
+        'mintemail.com', 'mohmal.com', 'mytemp.email', 'nada.email',
+        'sharklasers.com', 'spam4.me', 'spambox.us', 'spamgourmet.com',
+        'tempail.com', 'temp-mail.io', 'temp-mail.org', 'tempinbox.com',
+        'tempmail.com', 'tempmail.dev', 'tempmail.net', 'tempmailo.com',
+        'tempr.email', 'throwawaymail.com', 'trashmail.com', 'trashmail.de',
+        'trashmail.net', 'yopmail.com', 'yopmail.fr', 'yopmail.net'
+    ];
+
+    // Names reserved for documentation and testing (RFC 2606, 6761)
+    const RESERVED_TLDS = ['example', 'invalid', 'localhost', 'local', 'test'];
+    const RESERVED_DOMAINS = ['example.com', 'example.net', 'example.org'];
+
+    // Misspelt provider domain -> the one that was meant
+    const DOMAIN_TYPOS = {
+        'gamil.com': 'gmail.com',
+        'gmial.com': 'gmail.com',
+        'gmai.com': 'gmail.com',
+        'gmal.com': 'gmail.com',
+        'gmail.co': 'gmail.com',
+        'gmail.con': 'gmail.com',
+        'gmail.cm': 'gmail.com',
+        'gmail.in': 'gmail.com',
+        'gnail.com': 'gmail.com',
+        'hotmial.com': 'hotmail.com',
+        'hotmal.com': 'hotmail.com',
+        'hotmail.co': 'hotmail.com',
+        'outlok.com': 'outlook.com',
+        'outlook.co': 'outlook.com',
+        'yaho.com': 'yahoo.com',
+        'yahoo.co': 'yahoo.com',
+        'yahoo.con': 'yahoo.com',
+        'yhaoo.com': 'yahoo.com',
+        'rediffmai.com': 'rediffmail.com',
+        'redifmail.com': 'rediffmail.com'
+    };
+
+    // Providers that ignore dots and "+tag" suffixes in the local part
+    const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+    const LOCAL_PART_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]+$/;
+    const DOMAIN_LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+    const TLD_PATTERN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+    function splitAddress(email) {
+        const value = String(email === undefined || email === null ? '' : email).trim().toLowerCase();
+        const at = value.lastIndexOf('@');
+        if (at <= 0 || at === value.length - 1) return null;
+        return { local: value.slice(0, at), domain: value.slice(at + 1) };
+    }
+
+    /**
+     * Whether a domain (or one it is a subdomain of) is a disposable service
+     */
+    function isDisposableDomain(domain) {
+        const labels = String(domain || '').toLowerCase().split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (DISPOSABLE_DOMAINS.includes(labels.slice(i).join('.'))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check an address, returning { code, message } or null. Codes:
+     * invalid_format, invalid_domain, domain_typo, disposable_domain.
+     */
+    function checkEmail(email) {
+        const parts = splitAddress(email);
+        const fail = (code, message) => ({ code, message });
+        const invalid = fail('invalid_format', 'Please enter a valid email address');
+        if (!parts) return invalid;
+
+        const { local, domain } = parts;
+        if (local.length > 64 || !LOCAL_PART_PATTERN.test(local) ||
+            local.startsWith('.') || local.endsWith('.') || local.includes('..')) {
+            return invalid;
+        }
+
+        const labels = domain.split('.');
+        const tld = labels[labels.length - 1];
+        if (domain.length > 253 || labels.length < 2 ||
+            !labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) || !TLD_PATTERN.test(tld)) {
+            return fail('invalid_domain', `${domain} is not a domain that can receive email`);
+        }
+        if (RESERVED_TLDS.includes(tld) || RESERVED_DOMAINS.includes(domain)) {
+            return fail('invalid_domain', `${domain} is not a domain that can receive email`);
+        }
+        if (DOMAIN_TYPOS[domain]) {
+            return fail('domain_typo', `Did you mean ${local}@${DOMAIN_TYPOS[domain]}?`);
+        }
+        if (isDisposableDomain(domain)) {
+            return fail('disposable_domain', 'Disposable email addresses cannot be used - please use your own email address');
+        }
+        return null;
+    }
+
+    /**
+     * The form of an address used to detect the same inbox registered twice:
+     * trimmed and lower-cased, and with `gmail` set, Gmail dots and "+tag"
+     * suffixes removed (googlemail.com is the same service).
+     */
+    function canonicalizeEmail(email, options) {
+        const opts = options || {};
+        const parts = splitAddress(email);
+        if (!parts) return String(email === undefined || email === null ? '' : email).trim().toLowerCase();
+
+        let { local, domain } = parts;
+        if (opts.gmail && GMAIL_DOMAINS.includes(domain)) {
+            local = local.split('+')[0].replace(/\./g, '');
+            domain = GMAIL_DOMAINS[0];
+        }
+        return `${local}@${domain}`;
+    }
+
+    return {
+        DISPOSABLE_DOMAINS,
+        isDisposableDomain,
+        checkEmail,
+        canonicalizeEmail
+    };
+});
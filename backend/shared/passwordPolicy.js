@@ -0,0 +1,199 @@
+/**
+ * passwordPolicy.js - Password rules for IDCS Cricket Registration
+ *
+ * One configurable policy (length, character classes, no personal details)
+ * plus an offline list of the passwords that turn up most in public breach
+ * corpora. The server sets the policy from its PASSWORD_* settings and
+ * publishes it at GET /api/password-policy so the form's strength meter
+ * shows exactly the rules the server will enforce.
+ *
+ * Loaded with require() on the server and served to the browser as
+ * /shared/passwordPolicy.js, where it defines window.PasswordPolicy.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PasswordPolicy = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_POLICY = {
+        minLength: 8,
+        maxLength: 128,
+        requireLowercase: true,
+        requireUppercase: true,
+        requireDigit: true,
+        requireSymbol: false,
+        rejectCommon: true,
+        rejectPersonalInfo: true
+    };
+
+    // Lower-cased. Variants with digits or symbols added at either end, or
+    // with @ $ 0 3 for a s o e, are caught too ("P@ssw0rd1!" is "password").
+    const COMMON_PASSWORDS = [
+        '123456', '1234567', '12345678', '123456789', '1234567890', '123123',
+        '111111', '000000', '654321', '666666', '121212', '112233', '987654321',
+        '123321', '159753', '147258369', 'qwerty', 'qwertyuiop', 'qwerty123',
+        'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r', '1qaz2wsx', 'qazwsx',
+        'password', 'passw0rd', 'pass', 'passcode', 'letmein', 'welcome',
+        'admin', 'administrator', 'login', 'master', 'secret', 'default',
+        'changeme', 'iloveyou', 'trustno1', 'abc123', 'abcd1234', 'abcdef',
+        'monkey', 'dragon', 'football', 'baseball', 'soccer', 'hockey',
+        'basketball', 'superman', 'batman', 'spiderman', 'pokemon', 'starwars',
+        'sunshine', 'princess', 'shadow', 'michael', 'jennifer', 'jordan',
+        'hunter', 'ranger', 'buster', 'tigger', 'charlie', 'freedom', 'whatever',
+        'computer', 'internet', 'google', 'samsung', 'iphone', 'nokia',
+        'killer', 'hello', 'lovely', 'flower', 'summer', 'winter', 'money',
+        'cheese', 'chocolate', 'cookie', 'qwer', 'zaq12wsx', 'aa123456',
+        'india', 'bharat', 'hindustan', 'jaihind', 'mumbai', 'delhi',
+        'bangalore', 'chennai', 'kolkata', 'hyderabad', 'krishna', 'ganesh',
+        'shiva', 'sairam', 'omsairam', 'jaishriram', 'lakshmi', 'mother',
+        'father', 'family', 'friends', 'cricket', 'crickets', 'sachin',
+        'tendulkar', 'dhoni', 'msdhoni', 'virat', 'kohli', 'rohit', 'sharma',
+        'dravid', 'ganguly', 'kapil', 'yuvraj', 'bumrah', 'ipl', 'teamindia',
+        'worldcup', 'bowler', 'batsman', 'wicket', 'sixer', 'century', 'idcs',
+        'idsc', 'player', 'sports', 'register'
+    ];
+
+    const COMMON_SET = new Set(COMMON_PASSWORDS);
+    const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+    let activePolicy = Object.assign({}, DEFAULT_POLICY);
+
+    /**
+     * Replace the active policy; unset options keep their defaults
+     */
+    function setPolicy(policy) {
+        activePolicy = Object.assign({}, DEFAULT_POLICY, policy || {});
+        return getPolicy();
+    }
+
+    function getPolicy() {
+        return Object.assign({}, activePolicy);
+    }
+
+    /**
+     * Whether a password is on the common/breached list, allowing for the
+     * usual digits, symbols and letter swaps around a listed word
+     */
+    function isCommonPassword(password) {
+        const lower = String(password).toLowerCase();
+        const unswapped = lower.replace(/@/g, 'a').replace(/\$/g, 's').replace(/0/g, 'o').replace(/3/g, 'e');
+        const core = (value) => value.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+        return COMMON_SET.has(lower) ||
+            [core(lower), core(unswapped)].some(word => word.length >= 3 && COMMON_SET.has(word));
+    }
+
+    /**
+     * Whether a password contains the player's name, username, email name
+     * or phone number. `personal` may hold username, firstName, lastName,
+     * name, email and phone.
+     */
+    function containsPersonalInfo(password, personal) {
+        const compact = String(password).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const details = personal || {};
+        const tokens = [];
+
+        [details.username, details.firstName, details.lastName, details.name].forEach(value => {
+            String(value || '').toLowerCase().split(/[\s._-]+/).forEach(word => tokens.push(word));
+        });
+        tokens.push(String(details.username || '').toLowerCase());
+        if (details.email) {
+            String(details.email).toLowerCase().split('@')[0].split(/[._+-]+/).forEach(word => tokens.push(word));
+        }
+        if (details.phone) {
+            tokens.push(String(details.phone).replace(/[^0-9]/g, '').slice(-10));
+        }
+
+        return tokens
+            .map(token => token.replace(/[^a-z0-9]/g, ''))
+            .some(token => token.length >= 3 && compact.includes(token));
+    }
+
+    function strengthScore(password, policyMet) {
+        if (!password) return 0;
+
+        const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/]
+            .filter(pattern => pattern.test(password)).length;
+        let score = 0;
+        if (password.length >= 8) score++;
+        if (password.length >= 12) score++;
+        if (classes >= 3) score++;
+        if (password.length >= 16 || classes === 4) score++;
+
+        // Never "Good" while a rule is unmet, never "Very weak" once all are met
+        return policyMet ? Math.max(score, 1) : Math.min(score, 1);
+    }
+
+    /**
+     * Check a password against the active policy (or `options.policy`).
+     * Pass `options.personal` to also reject the player's own details.
+     * Returns { valid, rules: [{ id, label, met }], code, message, score,
+     * strength } where code/message describe the unmet rule that matters most.
+     */
+    function checkPassword(password, options) {
+        const opts = options || {};
+        const policy = opts.policy ? Object.assign({}, DEFAULT_POLICY, opts.policy) : activePolicy;
+        const value = String(password === undefined || password === null ? '' : password);
+        const rules = [];
+        const rule = (id, label, met, code, message) => rules.push({ id, label, met, code, message });
+
+        rule('minLength', `At least ${policy.minLength} characters`, value.length >= policy.minLength,
+            'too_short', `Password must be at least ${policy.minLength} characters long`);
+        if (policy.maxLength) {
+            rule('maxLength', `At most ${policy.maxLength} characters`, value.length <= policy.maxLength,
+                'too_long', `Password must be at most ${policy.maxLength} characters long`);
+        }
+        if (policy.requireLowercase) {
+            rule('lowercase', 'A lowercase letter', /[a-z]/.test(value),
+                'missing_lowercase', 'Password must contain a lowercase letter');
+        }
+        if (policy.requireUppercase) {
+            rule('uppercase', 'An uppercase letter', /[A-Z]/.test(value),
+                'missing_uppercase', 'Password must contain an uppercase letter');
+        }
+        if (policy.requireDigit) {
+            rule('digit', 'A number', /[0-9]/.test(value),
+                'missing_digit', 'Password must contain a number');
+        }
+        if (policy.requireSymbol) {
+            rule('symbol', 'A symbol such as ! @ # or ?', /[^A-Za-z0-9]/.test(value),
+                'missing_symbol', 'Password must contain a symbol');
+        }
+        if (policy.rejectCommon) {
+            rule('notCommon', 'Not a common or breached password', !value || !isCommonPassword(value),
+                'common_password', 'This password is too common - it appears in lists of breached passwords');
+        }
+        if (policy.rejectPersonalInfo && opts.personal) {
+            rule('notPersonal', 'Not your name, username, email or phone', !containsPersonalInfo(value, opts.personal),
+                'contains_personal_info', 'Password must not contain your name, username, email or phone number');
+        }
+
+        const unmet = rules.filter(item => !item.met);
+        const score = strengthScore(value, unmet.length === 0);
+        // Adding a capital letter will not fix a breached password, so say that first
+        const reported = unmet.find(item => item.id === 'notCommon' || item.id === 'notPersonal') || unmet[0];
+
+        return {
+            valid: unmet.length === 0,
+            rules: rules.map(({ id, label, met }) => ({ id, label, met })),
+            code: reported ? reported.code : null,
+            message: reported ? reported.message : null,
+            score,
+            strength: STRENGTH_LABELS[score]
+        };
+    }
+
+    return {
+        DEFAULT_POLICY,
+        STRENGTH_LABELS,
+        setPolicy,
+        getPolicy,
+        isCommonPassword,
+        containsPersonalInfo,
+        checkPassword
+    };
+});
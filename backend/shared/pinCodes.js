@@ -0,0 +1,225 @@
+/**
+ * pinCodes.js - Offline Indian PIN code data for IDCS Cricket Registration
+ *
+ * A PIN code's first three digits are its sorting district, which always
+ * falls in a known state (a few border prefixes serve two). That is enough to
+ * reject PIN codes that do not exist and PIN/state combinations that cannot
+ * be right, and to fill in the state as soon as a PIN is typed. District and
+ * city are filled in for the sorting districts listed in DISTRICTS; elsewhere
+ * the player types them.
+ *
+ * Loaded with require() on the server and served to the browser as
+ * /shared/pinCodes.js, where it defines window.PinCodes. No network access.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PinCodes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // States and union territories, in the order the form lists them
+    const STATES = [
+        'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chhattisgarh',
+        'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jharkhand', 'Karnataka',
+        'Kerala', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+        'Mizoram', 'Nagaland', 'Odisha', 'Punjab', 'Rajasthan', 'Sikkim',
+        'Tamil Nadu', 'Telangana', 'Tripura', 'Uttar Pradesh', 'Uttarakhand',
+        'West Bengal',
+        'Andaman and Nicobar Islands', 'Chandigarh',
+        'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Jammu and Kashmir',
+        'Ladakh', 'Lakshadweep', 'Puducherry'
+    ];
+
+    // [first prefix, last prefix, states] - three-digit sorting district
+    // prefixes. Later rows override earlier ones, so the broad state ranges
+    // come first and the exceptions inside them after.
+    const PREFIX_RANGES = [
+        [110, 110, ['Delhi']],
+        [121, 136, ['Haryana']],
+        [140, 160, ['Punjab']],
+        [160, 160, ['Chandigarh', 'Punjab']],
+        [171, 177, ['Himachal Pradesh']],
+        [180, 193, ['Jammu and Kashmir']],
+        [194, 194, ['Ladakh']],
+        [201, 285, ['Uttar Pradesh']],
+        [244, 244, ['Uttar Pradesh', 'Uttarakhand']],
+        [246, 246, ['Uttarakhand']],
+        [247, 247, ['Uttar Pradesh', 'Uttarakhand']],
+        [248, 249, ['Uttarakhand']],
+        [262, 262, ['Uttar Pradesh', 'Uttarakhand']],
+        [263, 263, ['Uttarakhand']],
+        [301, 345, ['Rajasthan']],
+        [360, 396, ['Gujarat']],
+        [362, 362, ['Gujarat', 'Dadra and Nagar Haveli and Daman and Diu']],
+        [396, 396, ['Gujarat', 'Dadra and Nagar Haveli and Daman and Diu']],
+        [400, 445, ['Maharashtra']],
+        [403, 403, ['Goa']],
+        [450, 488, ['Madhya Pradesh']],
+        [490, 497, ['Chhattisgarh']],
+        [500, 509, ['Telangana']],
+        [515, 535, ['Andhra Pradesh']],
+        [533, 533, ['Andhra Pradesh', 'Puducherry']],
+        [560, 591, ['Karnataka']],
+        [600, 643, ['Tamil Nadu']],
+        [605, 605, ['Puducherry', 'Tamil Nadu']],
+        [607, 607, ['Tamil Nadu', 'Puducherry']],
+        [609, 609, ['Tamil Nadu', 'Puducherry']],
+        [670, 695, ['Kerala']],
+        [673, 673, ['Kerala', 'Puducherry']],
+        [682, 682, ['Kerala', 'Lakshadweep']],
+        [700, 743, ['West Bengal']],
+        [737, 737, ['Sikkim']],
+        [744, 744, ['Andaman and Nicobar Islands']],
+        [751, 770, ['Odisha']],
+        [781, 788, ['Assam']],
+        [790, 792, ['Arunachal Pradesh']],
+        [793, 794, ['Meghalaya']],
+        [795, 795, ['Manipur']],
+        [796, 796, ['Mizoram']],
+        [797, 798, ['Nagaland']],
+        [799, 799, ['Tripura']],
+        [800, 855, ['Bihar']],
+        [813, 813, ['Bihar', 'Jharkhand']],
+        [814, 816, ['Jharkhand']],
+        [822, 822, ['Jharkhand']],
+        [825, 835, ['Jharkhand']]
+    ];
+
+    // Army Post Office PIN codes - valid, but they say nothing about the state
+    const ARMY_POST_OFFICE = [900, 999];
+
+    // Sorting district prefix -> [district, city] for the main cities
+    const DISTRICTS = {
+        110: ['New Delhi', 'New Delhi'],
+        121: ['Faridabad', 'Faridabad'],
+        122: ['Gurugram', 'Gurugram'],
+        124: ['Rohtak', 'Rohtak'],
+        125: ['Hisar', 'Hisar'],
+        131: ['Sonipat', 'Sonipat'],
+        133: ['Ambala', 'Ambala'],
+        141: ['Ludhiana', 'Ludhiana'],
+        143: ['Amritsar', 'Amritsar'],
+        144: ['Jalandhar', 'Jalandhar'],
+        147: ['Patiala', 'Patiala'],
+        151: ['Bathinda', 'Bathinda'],
+        171: ['Shimla', 'Shimla'],
+        180: ['Jammu', 'Jammu'],
+        190: ['Srinagar', 'Srinagar'],
+        202: ['Aligarh', 'Aligarh'],
+        208: ['Kanpur Nagar', 'Kanpur'],
+        211: ['Prayagraj', 'Prayagraj'],
+        221: ['Varanasi', 'Varanasi'],
+        226: ['Lucknow', 'Lucknow'],
+        243: ['Bareilly', 'Bareilly'],
+        248: ['Dehradun', 'Dehradun'],
+        250: ['Meerut', 'Meerut'],
+        273: ['Gorakhpur', 'Gorakhpur'],
+        281: ['Mathura', 'Mathura'],
+        282: ['Agra', 'Agra'],
+        302: ['Jaipur', 'Jaipur'],
+        305: ['Ajmer', 'Ajmer'],
+        313: ['Udaipur', 'Udaipur'],
+        324: ['Kota', 'Kota'],
+        334: ['Bikaner', 'Bikaner'],
+        342: ['Jodhpur', 'Jodhpur'],
+        360: ['Rajkot', 'Rajkot'],
+        361: ['Jamnagar', 'Jamnagar'],
+        364: ['Bhavnagar', 'Bhavnagar'],
+        380: ['Ahmedabad', 'Ahmedabad'],
+        390: ['Vadodara', 'Vadodara'],
+        395: ['Surat', 'Surat'],
+        400: ['Mumbai', 'Mumbai'],
+        411: ['Pune', 'Pune'],
+        414: ['Ahmednagar', 'Ahmednagar'],
+        415: ['Satara', 'Satara'],
+        416: ['Kolhapur', 'Kolhapur'],
+        422: ['Nashik', 'Nashik'],
+        431: ['Chhatrapati Sambhajinagar', 'Chhatrapati Sambhajinagar'],
+        440: ['Nagpur', 'Nagpur'],
+        452: ['Indore', 'Indore'],
+        462: ['Bhopal', 'Bhopal'],
+        474: ['Gwalior', 'Gwalior'],
+        482: ['Jabalpur', 'Jabalpur'],
+        492: ['Raipur', 'Raipur'],
+        500: ['Hyderabad', 'Hyderabad'],
+        506: ['Warangal', 'Warangal'],
+        522: ['Guntur', 'Guntur'],
+        530: ['Visakhapatnam', 'Visakhapatnam'],
+        560: ['Bengaluru Urban', 'Bengaluru'],
+        570: ['Mysuru', 'Mysuru'],
+        575: ['Dakshina Kannada', 'Mangaluru'],
+        580: ['Dharwad', 'Hubballi'],
+        590: ['Belagavi', 'Belagavi'],
+        600: ['Chennai', 'Chennai'],
+        620: ['Tiruchirappalli', 'Tiruchirappalli'],
+        625: ['Madurai', 'Madurai'],
+        636: ['Salem', 'Salem'],
+        641: ['Coimbatore', 'Coimbatore'],
+        680: ['Thrissur', 'Thrissur'],
+        695: ['Thiruvananthapuram', 'Thiruvananthapuram'],
+        700: ['Kolkata', 'Kolkata'],
+        711: ['Howrah', 'Howrah'],
+        751: ['Khordha', 'Bhubaneswar'],
+        753: ['Cuttack', 'Cuttack'],
+        781: ['Kamrup Metropolitan', 'Guwahati'],
+        793: ['East Khasi Hills', 'Shillong'],
+        799: ['West Tripura', 'Agartala'],
+        800: ['Patna', 'Patna'],
+        826: ['Dhanbad', 'Dhanbad'],
+        831: ['East Singhbhum', 'Jamshedpur'],
+        834: ['Ranchi', 'Ranchi']
+    };
+
+    const PIN_PATTERN = /^[1-9][0-9]{5}$/;
+
+    const statesByPrefix = {};
+    PREFIX_RANGES.forEach(([first, last, states]) => {
+        for (let prefix = first; prefix <= last; prefix++) {
+            statesByPrefix[prefix] = states;
+        }
+    });
+
+    /**
+     * Look up a PIN code. Returns null for anything that is not a known
+     * Indian PIN code, otherwise { pinCode, states, state, district, city,
+     * armyPostOffice }. `state` is only set when the prefix serves one state.
+     */
+    function lookupPinCode(pinCode) {
+        const pin = String(pinCode === undefined || pinCode === null ? '' : pinCode).trim();
+        if (!PIN_PATTERN.test(pin)) return null;
+
+        const prefix = Number(pin.slice(0, 3));
+        const armyPostOffice = prefix >= ARMY_POST_OFFICE[0] && prefix <= ARMY_POST_OFFICE[1];
+        const states = statesByPrefix[prefix];
+        if (!states && !armyPostOffice) return null;
+
+        const district = DISTRICTS[prefix];
+        return {
+            pinCode: pin,
+            states: states || [],
+            state: states && states.length === 1 ? states[0] : null,
+            district: district ? district[0] : null,
+            city: district ? district[1] : null,
+            armyPostOffice
+        };
+    }
+
+    /**
+     * Whether a PIN code can belong to the state. Army Post Office codes fit
+     * any state; unknown PIN codes fit none.
+     */
+    function isPinInState(pinCode, state) {
+        const match = lookupPinCode(pinCode);
+        if (!match) return false;
+        return match.armyPostOffice || match.states.includes(state);
+    }
+
+    return {
+        STATES,
+        lookupPinCode,
+        isPinInState
+    };
+});
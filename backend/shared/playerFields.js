@@ -0,0 +1,457 @@
+/**
+ * playerFields.js - Player field specification for IDCS Cricket Registration
+ *
+ * The single source of truth for the player fields a person fills in and the
+ * rules they must follow. Everything else is derived from it:
+ *   - the Mongoose schema paths in server.js (toSchemaPaths)
+ *   - the server request validation for registration and profile updates
+ *   - the browser validation and input constraints in the registration form
+ *
+ * Loaded with require() on the server and served to the browser as
+ * /shared/playerFields.js, where it defines window.PlayerFields. Needs
+ * pinCodes.js, emailRules.js and passwordPolicy.js, which the browser must
+ * load first.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./pinCodes'), require('./emailRules'), require('./passwordPolicy'));
+    } else {
+        root.PlayerFields = factory(root.PinCodes, root.EmailRules, root.PasswordPolicy);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PinCodes, EmailRules, PasswordPolicy) {
+    'use strict';
+
+    // Patterns are written unanchored so they can also be used as HTML
+    // pattern attributes, which always match the whole value.
+    const NAME_PATTERN = '[A-Za-z\\s]+';
+
+    // Phone numbers are stored in E.164 (+919876543210). Numbers typed
+    // without a country code are Indian.
+    const DEFAULT_COUNTRY_CODE = '91';
+    const E164_PATTERN = /^\+[1-9][0-9]{7,14}$/;
+    const INDIAN_MOBILE_PATTERN = /^\+91[6-9][0-9]{9}$/;
+
+    /**
+     * Bring a phone number into E.164 form. Spaces, dashes, dots and brackets
+     * are dropped, a leading + or 00 starts an international number and a
+     * leading 0 is the domestic trunk prefix. Values that are not just digits
+     * and those separators, or that cannot be read, come back unchanged.
+     */
+    function normalizePhone(value, defaultCountryCode) {
+        const raw = String(value).trim();
+        if (!/^\+?[0-9\s\-().]+$/.test(raw)) return raw;
+
+        const countryCode = defaultCountryCode || DEFAULT_COUNTRY_CODE;
+        const digits = raw.replace(/[^0-9]/g, '');
+
+        if (raw.startsWith('+')) return `+${digits}`;
+        if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+        if (digits.startsWith('0')) return `+${countryCode}${digits.slice(1)}`;
+        if (digits.length === 10) return `+${countryCode}${digits}`;
+        if (digits.length === countryCode.length + 10 && digits.startsWith(countryCode)) return `+${digits}`;
+        return raw;
+    }
+
+    function checkPhone(phone) {
+        if (!E164_PATTERN.test(phone)) {
+            return {
+                code: 'invalid_format',
+                message: 'Please enter a valid phone number, e.g. 98765 43210 or +44 7700 900123'
+            };
+        }
+        if (phone.startsWith(`+${DEFAULT_COUNTRY_CODE}`) && !INDIAN_MOBILE_PATTERN.test(phone)) {
+            return {
+                code: 'invalid_mobile',
+                message: 'Indian mobile numbers have 10 digits and start with 6, 7, 8 or 9'
+            };
+        }
+        return null;
+    }
+
+    const FIELDS = {
+        // Personal Information
+        firstName: {
+            label: 'First name',
+            type: 'string',
+            required: true,
+            trim: true,
+            maxLength: 50,
+            pattern: NAME_PATTERN,
+            patternMessage: 'First name can only contain letters and spaces'
+        },
+        middleName: {
+            label: 'Middle name',
+            type: 'string',
+            trim: true,
+            maxLength: 50,
+            pattern: NAME_PATTERN,
+            patternMessage: 'Middle name can only contain letters and spaces'
+        },
+        lastName: {
+            label: 'Last name',
+            type: 'string',
+            required: true,
+            trim: true,
+            maxLength: 50,
+            pattern: NAME_PATTERN,
+            patternMessage: 'Last name can only contain letters and spaces'
+        },
+        dateOfBirth: {
+            label: 'Date of birth',
+            type: 'date',
+            required: true,
+            minAge: 10,
+            maxAge: 65
+        },
+        gender: {
+            label: 'Gender',
+            type: 'string',
+            required: true,
+            lowercase: true,
+            enum: ['male', 'female', 'other']
+        },
+
+        // Contact Information
+        email: {
+            label: 'Email address',
+            type: 'string',
+            required: true,
+            trim: true,
+            lowercase: true,
+            maxLength: 254,
+            pattern: '[^\\s@]+@[^\\s@]+\\.[^\\s@]+',
+            patternMessage: 'Please enter a valid email address',
+            check: EmailRules.checkEmail
+        },
+        phone: {
+            label: 'Phone number',
+            type: 'string',
+            required: true,
+            trim: true,
+            normalize: normalizePhone,
+            check: checkPhone
+        },
+
+        // Address Information
+        streetAddress: {
+            label: 'Street address',
+            type: 'string',
+            required: true,
+            trim: true,
+            maxLength: 200
+        },
+        city: {
+            label: 'City',
+            type: 'string',
+            required: true,
+            trim: true,
+            maxLength: 50
+        },
+        district: {
+            label: 'District',
+            type: 'string',
+            trim: true,
+            maxLength: 50
+        },
+        state: {
+            label: 'State',
+            type: 'string',
+            required: true,
+            trim: true,
+            enum: PinCodes.STATES
+        },
+        postalCode: {
+            label: 'PIN code',
+            type: 'string',
+            required: true,
+            trim: true,
+            pattern: '[1-9][0-9]{5}',
+            patternMessage: 'PIN code must be 6 digits and cannot start with 0',
+            check: value => (PinCodes.lookupPinCode(value) ? null : {
+                code: 'unknown_pin',
+                message: 'This is not a known Indian PIN code'
+            })
+        },
+        country: {
+            label: 'Country',
+            type: 'string',
+            trim: true,
+            maxLength: 50,
+            default: 'India'
+        },
+
+        // Sports Information
+        primarySport: {
+            label: 'Primary sport',
+            type: 'string',
+            trim: true,
+            maxLength: 30,
+            default: 'Cricket'
+        },
+        role: {
+            label: 'Playing role',
+            type: 'string',
+            required: true,
+            enum: ['Batsman', 'Bowler', 'All Rounder', 'Keeper Batsman']
+        },
+        battingOrderPreference: {
+            label: 'Batting order preference',
+            type: 'string',
+            required: true,
+            enum: ['Opening', 'Top Order', 'Middle Order', 'Lower Order']
+        },
+        bowlingStyle: {
+            label: 'Bowling style',
+            type: 'string',
+            enum: ['Fast', 'Medium', 'Spin', 'None'],
+            default: 'None'
+        },
+        battingStyle: {
+            label: 'Batting style',
+            type: 'string',
+            required: true,
+            enum: ['Right Handed Bat', 'Left Handed Bat']
+        },
+        bowlingArm: {
+            label: 'Bowling arm',
+            type: 'string',
+            enum: ['Right-arm Fast', 'Left-arm Fast', 'Right-arm Spin', 'Left-arm Spin']
+        },
+
+        // Account Information
+        username: {
+            label: 'Username',
+            type: 'string',
+            required: true,
+            trim: true,
+            minLength: 3,
+            maxLength: 30,
+            pattern: '[a-zA-Z0-9_]+',
+            patternMessage: 'Username can only contain letters, numbers, and underscores'
+        },
+        password: {
+            label: 'Password',
+            type: 'string',
+            required: true,
+            // Stored as a hash, so the rules only apply to the submitted value
+            hashed: true,
+            // Length and character rules come from the active password policy
+            check: value => {
+                const result = PasswordPolicy.checkPassword(value);
+                return result.valid ? null : { code: result.code, message: result.message };
+            }
+        }
+    };
+
+    const FIELD_NAMES = Object.keys(FIELDS);
+
+    const compiledPatterns = {};
+    function patternFor(name) {
+        if (!compiledPatterns[name]) {
+            compiledPatterns[name] = new RegExp(`^(?:${FIELDS[name].pattern})$`);
+        }
+        return compiledPatterns[name];
+    }
+
+    function isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    /**
+     * Whole years between a date of birth and today (calendar based, so the
+     * birthday itself is when the age goes up)
+     */
+    function calculateAge(dateOfBirth, today) {
+        const birthDate = new Date(dateOfBirth);
+        const now = today ? new Date(today) : new Date();
+        if (isNaN(birthDate.getTime())) return null;
+
+        let age = now.getFullYear() - birthDate.getFullYear();
+        const monthDiff = now.getMonth() - birthDate.getMonth();
+        if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birthDate.getDate())) {
+            age--;
+        }
+        return age;
+    }
+
+    /**
+     * Bring a submitted value into its stored form (trimmed, lower-cased,
+     * phone numbers in E.164)
+     */
+    function normalizeField(name, value) {
+        const field = FIELDS[name];
+        if (!field || value === undefined || value === null) return value;
+        if (field.type === 'date') return value instanceof Date ? value : new Date(value);
+
+        let result = String(value);
+        if (field.trim) result = result.trim();
+        if (field.lowercase) result = result.toLowerCase();
+        if (field.normalize) result = field.normalize(result);
+        return result;
+    }
+
+    /**
+     * Check one field, returning { code, message } or null. Codes are stable
+     * and meant for programs: required, invalid_date, out_of_range,
+     * invalid_type, not_allowed, too_short, too_long, invalid_format, plus
+     * any a field's own `check` returns (unknown_pin, invalid_mobile,
+     * invalid_domain, domain_typo, disposable_domain and the password
+     * policy codes, e.g. missing_uppercase, common_password).
+     */
+    function checkField(name, value, options) {
+        const field = FIELDS[name];
+        if (!field) return null;
+        const opts = options || {};
+        const fail = (code, message) => ({ code, message });
+
+        if (isBlank(value)) {
+            return field.required && !opts.skipRequired ? fail('required', `${field.label} is required`) : null;
+        }
+
+        const normalized = normalizeField(name, value);
+
+        if (field.type === 'date') {
+            if (isNaN(normalized.getTime())) {
+                return fail('invalid_date', `${field.label} must be a valid date`);
+            }
+            const age = calculateAge(normalized, opts.today);
+            if ((field.minAge !== undefined && age < field.minAge) ||
+                (field.maxAge !== undefined && age > field.maxAge)) {
+                return fail('out_of_range', `Age must be between ${field.minAge} and ${field.maxAge} years`);
+            }
+            return null;
+        }
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return fail('invalid_type', `${field.label} must be text`);
+        }
+        if (field.enum && !field.enum.includes(normalized)) {
+            return fail('not_allowed', `${field.label} must be one of: ${field.enum.join(', ')}`);
+        }
+        if (field.minLength !== undefined && normalized.length < field.minLength) {
+            return fail('too_short', `${field.label} must be at least ${field.minLength} characters long`);
+        }
+        if (field.maxLength !== undefined && normalized.length > field.maxLength) {
+            return fail('too_long', `${field.label} must be at most ${field.maxLength} characters long`);
+        }
+        if (field.pattern && !patternFor(name).test(normalized)) {
+            return fail('invalid_format', field.patternMessage || `${field.label} is not valid`);
+        }
+        return field.check ? field.check(normalized) : null;
+    }
+
+    /**
+     * Rules between fields, on normalized values. Returns { errors, codes }
+     * for whichever fields are present; codes: state_mismatch,
+     * contains_personal_info.
+     */
+    function checkConsistency(values) {
+        const errors = {};
+        const codes = {};
+
+        if (values.password) {
+            const result = PasswordPolicy.checkPassword(values.password, { personal: values });
+            if (!result.valid) {
+                errors.password = result.message;
+                codes.password = result.code;
+            }
+        }
+
+        if (values.postalCode && values.state && !PinCodes.isPinInState(values.postalCode, values.state)) {
+            errors.postalCode = `PIN code ${values.postalCode} is not in ${values.state}`;
+            codes.postalCode = 'state_mismatch';
+        }
+
+        return { errors, codes };
+    }
+
+    /**
+     * Check one field, returning an error message or null
+     */
+    function validateField(name, value, options) {
+        const problem = checkField(name, value, options);
+        return problem ? problem.message : null;
+    }
+
+    /**
+     * Check a set of fields. With `partial`, fields that are absent are
+     * skipped (profile updates); otherwise every field is checked. Rules
+     * between fields only run when all of their fields were submitted.
+     * Returns { errors: { field: message }, codes: { field: code },
+     * values: { field: normalized } }.
+     */
+    function validatePlayer(data, options) {
+        const opts = options || {};
+        const input = data || {};
+        const names = opts.fields || FIELD_NAMES;
+        const errors = {};
+        const codes = {};
+        const values = {};
+
+        names.forEach(name => {
+            if (!FIELDS[name]) return;
+            if (opts.partial && !Object.prototype.hasOwnProperty.call(input, name)) return;
+
+            const problem = checkField(name, input[name], opts);
+            if (problem) {
+                errors[name] = problem.message;
+                codes[name] = problem.code;
+            } else if (!isBlank(input[name])) {
+                values[name] = normalizeField(name, input[name]);
+            }
+        });
+
+        // Only between fields that passed on their own
+        const consistency = checkConsistency(values);
+        Object.keys(consistency.errors).forEach(name => {
+            errors[name] = consistency.errors[name];
+            codes[name] = consistency.codes[name];
+        });
+
+        return { errors, codes, values };
+    }
+
+    /**
+     * Mongoose schema path definitions for every field. Plain objects and
+     * global constructors only, so this file never needs mongoose itself.
+     */
+    function toSchemaPaths() {
+        const paths = {};
+
+        FIELD_NAMES.forEach(name => {
+            const field = FIELDS[name];
+            const path = { type: field.type === 'date' ? Date : String };
+
+            if (field.required) path.required = [true, `${field.label} is required`];
+            if (field.default !== undefined) path.default = field.default;
+
+            if (!field.hashed) {
+                if (field.trim) path.trim = true;
+                if (field.lowercase) path.lowercase = true;
+                // Every write is stored in normal form, whatever the route
+                if (field.normalize) path.set = value => normalizeField(name, value);
+                path.validate = {
+                    validator: value => validateField(name, value, { skipRequired: true }) === null,
+                    message: props => validateField(name, props.value, { skipRequired: true })
+                };
+            }
+
+            paths[name] = path;
+        });
+
+        return paths;
+    }
+
+    return {
+        FIELDS,
+        FIELD_NAMES,
+        calculateAge,
+        normalizePhone,
+        normalizeField,
+        checkField,
+        checkConsistency,
+        validateField,
+        validatePlayer,
+        toSchemaPaths
+    };
+});
@@ -47,9 +47,80 @@ async function testConnection() {
     }
 }
 
+// Test gap-free Player ID allocation against a replica set
+// (see docker-compose.yml for a local single-node stand-in)
+async function testSequenceAllocation() {
+    const { supportsTransactions, saveWithSequence, findSequenceGaps } = require('./utils/playerSequence');
+    const uri = process.env.TEST_MONGODB_URI ||
+        'mongodb://localhost:27017/idcs_cricket_test?replicaSet=rs0&directConnection=true';
+
+    try {
+        await mongoose.connect(uri);
+
+        const transactional = await supportsTransactions(mongoose.connection);
+        console.log(transactional ?
+            '✅ Replica set detected - allocation runs in transactions' :
+            '⚠️ Standalone server - testing the compensating fallback');
+
+        const Counter = mongoose.model('SequenceTestCounter', new mongoose.Schema({
+            _id: String,
+            sequence_value: { type: Number, default: 0 }
+        }));
+        const Entry = mongoose.model('SequenceTestEntry', new mongoose.Schema({
+            sequenceNumber: { type: Number, unique: true },
+            name: { type: String, required: true }
+        }));
+        await Promise.all([Counter.deleteMany({}), Entry.deleteMany({})]);
+        await Promise.all([Counter.createCollection(), Entry.createCollection(), Entry.init()]);
+
+        const save = (name) => saveWithSequence({
+            connection: mongoose.connection,
+            Counter,
+            build: (sequenceNumber) => new Entry({ sequenceNumber, name })
+        });
+
+        await save('first');
+
+        // A validation failure must not consume a sequence number
+        await save('').then(
+            () => { throw new Error('Invalid entry was saved'); },
+            () => console.log('✅ Failed insert rejected')
+        );
+
+        const second = await save('second');
+        if (second.sequenceNumber !== 2) {
+            throw new Error(`Expected sequence 2 after a failed insert, got ${second.sequenceNumber}`);
+        }
+
+        // Concurrent allocations must stay unique and contiguous
+        await Promise.all(['a', 'b', 'c', 'd', 'e'].map(save));
+
+        const report = await findSequenceGaps({ Counter, Model: Entry });
+        if (report.currentSequence !== 7 || report.missingCount !== 0) {
+            throw new Error(`Unexpected sequence state: ${JSON.stringify(report)}`);
+        }
+        console.log('✅ Sequence is gap-free:', report.currentSequence, 'allocations');
+
+        await Promise.all([Counter.collection.drop(), Entry.collection.drop()]);
+        await mongoose.connection.close();
+        console.log('✅ Sequence allocation tests passed!');
+
+    } catch (error) {
+        console.error('❌ Sequence test failed:', error.message);
+        console.log('\n📝 Start a local replica set with: docker compose up -d');
+        process.exitCode = 1;
+        await mongoose.connection.close();
+    }
+}
+
 // Run test if this file is executed directly
+// (pass "sequence" to check Player ID allocation instead)
 if (require.main === module) {
-    testConnection();
+    if (process.argv[2] === 'sequence') {
+        testSequenceAllocation();
+    } else {
+        testConnection();
+    }
 }
 
-module.exports = { testConnection };
\ No newline at end of file
+module.exports = { testConnection, testSequenceAllocation };
\ No newline at end of file
@@ -0,0 +1,26 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { getHiddenListParams } = require('../utils/permissions');
+
+describe('player list PII filters and sorts', () => {
+  test('age filters and the age sort are hidden from staff without players:read-pii', () => {
+    const params = { ageMin: '17', ageMax: '18', ageGroup: 'U19', sort: '-age' };
+
+    assert.deepEqual(getHiddenListParams('selector', params), ['ageMin', 'ageMax', 'ageGroup', 'sort=-age']);
+    assert.deepEqual(getHiddenListParams('read-only', { sort: 'age' }), ['sort=age']);
+  });
+
+  test('staff with players:read-pii may use them', () => {
+    const params = { ageMin: '17', ageGroup: 'U19', sort: 'age' };
+
+    assert.deepEqual(getHiddenListParams('registrar', params), []);
+    assert.deepEqual(getHiddenListParams('super-admin', params), []);
+  });
+
+  test('other filters and sorts are open to everyone who can list players', () => {
+    const params = { role: 'Bowler', state: 'Kerala', registeredFrom: '2026-01-01', sort: 'name' };
+
+    assert.deepEqual(getHiddenListParams('selector', params), []);
+    assert.deepEqual(getHiddenListParams('read-only', {}), []);
+  });
+});
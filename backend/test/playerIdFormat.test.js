@@ -0,0 +1,71 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlayerIdFormat, luhnCheckDigit } = require('../utils/playerIdFormat');
+
+// 19 October 2026, midday in India
+const ISSUED_AT = new Date('2026-10-19T06:30:00Z');
+
+describe('Player ID format', () => {
+  test('format and parse round-trip', () => {
+    const idFormat = createPlayerIdFormat();
+    const playerId = idFormat.format({ sequence: 7, date: ISSUED_AT });
+
+    assert.equal(playerId, 'IDSC0719102026');
+    assert.deepEqual(idFormat.parse(playerId), {
+      prefix: 'IDSC',
+      sequence: 7,
+      date: '19102026',
+      checkDigit: null,
+      valid: true
+    });
+  });
+
+  test('sequences wider than the minimum width parse back', () => {
+    const idFormat = createPlayerIdFormat();
+    const playerId = idFormat.format({ sequence: 1234, date: ISSUED_AT });
+
+    assert.equal(playerId, 'IDSC123419102026');
+    assert.equal(idFormat.parse(playerId).sequence, 1234);
+  });
+
+  test('rejects dates that are not on the calendar', () => {
+    const idFormat = createPlayerIdFormat();
+
+    assert.equal(idFormat.parse('IDSC1231910202'), null);
+    assert.equal(idFormat.isValid('IDSC0099999999'), false);
+    assert.equal(idFormat.isValid('IDSC0732102026'), false);
+    assert.equal(idFormat.isValid('IDSC0729022025'), false);
+    assert.equal(idFormat.isValid('IDSC0729022024'), true);
+  });
+
+  test('rejects a zero sequence and padding format() never writes', () => {
+    const idFormat = createPlayerIdFormat();
+
+    assert.equal(idFormat.parse('IDSC0019102026'), null);
+    assert.equal(idFormat.parse('IDSC00719102026'), null);
+    assert.equal(idFormat.parse('IDSC719102026'), null);
+  });
+
+  test('check digits are verified when enabled', () => {
+    const idFormat = createPlayerIdFormat({ checkDigit: true });
+    const playerId = idFormat.format({ sequence: 7, date: ISSUED_AT });
+
+    assert.equal(playerId, `IDSC0719102026${luhnCheckDigit('IDSC0719102026')}`);
+    assert.equal(idFormat.isValid(playerId), true);
+
+    const wrongDigit = (Number(playerId.slice(-1)) + 1) % 10;
+    assert.equal(idFormat.isValid(`${playerId.slice(0, -1)}${wrongDigit}`), false);
+  });
+
+  test('period patterns find the IDs issued in a day or year', () => {
+    const idFormat = createPlayerIdFormat({ reset: 'daily' });
+    const daily = idFormat.periodIdPattern(idFormat.periodKey(ISSUED_AT));
+    const yearly = idFormat.periodIdPattern('2026');
+
+    assert.equal(daily.exec('IDSC1219102026')[1], '12');
+    assert.equal(daily.exec('IDSC12191020268')[1], '12');
+    assert.equal(daily.test('IDSC1218102026'), false);
+    assert.equal(yearly.exec('IDSC1201012026')[1], '12');
+    assert.equal(yearly.test('IDSC1201012025'), false);
+  });
+});
@@ -0,0 +1,38 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPlayerIdFormat } = require('../utils/playerIdFormat');
+const { looksLikePlayerId, identifierQuery } = require('../utils/playerIdentifiers');
+
+describe('player identifiers', () => {
+  const idFormat = createPlayerIdFormat();
+
+  test('a Player ID is only looked up as a Player ID', () => {
+    assert.deepEqual(identifierQuery('IDSC0719102026', idFormat), { playerId: 'IDSC0719102026' });
+    assert.deepEqual(identifierQuery(' idsc0719102026 ', idFormat), { playerId: 'IDSC0719102026' });
+  });
+
+  test('an email address is only looked up as an email address', () => {
+    assert.deepEqual(identifierQuery('Rohit@Example.com', idFormat), { email: 'rohit@example.com' });
+  });
+
+  test('anything else is a username', () => {
+    assert.deepEqual(identifierQuery('rohit_45', idFormat), { username: 'rohit_45' });
+    // Close to a Player ID, but not a possible one (no 31 February)
+    assert.deepEqual(identifierQuery('IDSC0731022026', idFormat), { username: 'IDSC0731022026' });
+  });
+
+  test('usernames shaped like a Player ID are recognised, in any case', () => {
+    assert.ok(looksLikePlayerId('IDSC0719102026', idFormat));
+    assert.ok(looksLikePlayerId('idsc0719102026', idFormat));
+    assert.ok(!looksLikePlayerId('rohit_45', idFormat));
+  });
+
+  test('a wrong check digit still counts as Player ID shaped', () => {
+    const withCheckDigit = createPlayerIdFormat({ checkDigit: true });
+    const playerId = withCheckDigit.format({ sequence: 7, date: new Date('2026-10-19T06:30:00Z') });
+    const wrong = `${playerId.slice(0, -1)}${(Number(playerId.slice(-1)) + 1) % 10}`;
+
+    assert.ok(looksLikePlayerId(wrong, withCheckDigit));
+    assert.deepEqual(identifierQuery(wrong, withCheckDigit), { playerId: wrong });
+  });
+});
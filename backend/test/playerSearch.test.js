@@ -0,0 +1,37 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSearchTokens, parseSearchTerms } = require('../utils/playerSearch');
+
+// Whether a search box entry would match the player's public tokens
+function finds(player, search) {
+  const { searchTokens } = buildSearchTokens(player);
+  return parseSearchTerms(search).every(term => searchTokens.some(token => token.startsWith(term)));
+}
+
+describe('player search tokens', () => {
+  const player = { firstName: 'Rohit', lastName: 'Sharma', playerId: 'IDSC0719102026', username: 'rohit45' };
+
+  test('the whole Player ID and its start match', () => {
+    assert.ok(finds(player, 'IDSC0719102026'));
+    assert.ok(finds(player, 'idsc07'));
+  });
+
+  test('the registration number matches with or without padding', () => {
+    assert.ok(finds(player, '7'));
+    assert.ok(finds(player, '07'));
+  });
+
+  test('the registration date matches', () => {
+    assert.ok(finds(player, '19102026'));
+  });
+
+  test('other numbers do not match', () => {
+    assert.ok(!finds(player, '8'));
+    assert.ok(!finds(player, '20102026'));
+  });
+
+  test('IDs in another format are still found whole', () => {
+    assert.ok(finds({ playerId: 'LEGACY-42' }, 'legacy-42'));
+    assert.ok(finds({ playerId: 'LEGACY-42' }, '42'));
+  });
+});
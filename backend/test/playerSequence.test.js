@@ -0,0 +1,196 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SEQUENCE_ID,
+  periodCounterId,
+  saveWithSequence,
+  currentSequence,
+  findSequenceGaps
+} = require('../utils/playerSequence');
+const {
+  createCounter,
+  createEntryModel,
+  createStandaloneConnection,
+  createReplicaSetConnection
+} = require('./support/memoryModels');
+
+// Helper function to allocate and save one entry
+function saver({ connection, Counter, Entry, periodKey, seedPeriod }) {
+  return (name) => saveWithSequence({
+    connection,
+    Counter,
+    periodKey,
+    seedPeriod,
+    build: (sequenceNumber, periodSequence) => Entry.build({ sequenceNumber, periodSequence, name })
+  });
+}
+
+describe('Player sequence allocation on a standalone server', () => {
+  test('a failed insert hands its number back', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    const save = saver({ connection: createStandaloneConnection(), Counter, Entry });
+
+    await save('first');
+    await assert.rejects(save(''), { name: 'ValidationError' });
+    const second = await save('second');
+
+    assert.equal(second.sequenceNumber, 2);
+    assert.equal(await currentSequence(Counter), 2);
+  });
+
+  test('concurrent allocations stay unique and gap-free', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    const save = saver({ connection: createStandaloneConnection(), Counter, Entry });
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(save));
+
+    const numbers = Entry.entries.map(entry => entry.sequenceNumber).sort((a, b) => a - b);
+    assert.deepEqual(numbers, [1, 2, 3, 4, 5, 6, 7]);
+
+    const report = await findSequenceGaps({ Counter, Model: Entry });
+    assert.equal(report.currentSequence, 7);
+    assert.equal(report.missingCount, 0);
+  });
+
+  test('a number that cannot be handed back is reported as a gap', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    const connection = createStandaloneConnection();
+    const save = saver({ connection, Counter, Entry });
+
+    // The failing insert's number is overtaken by a later allocation before it is released
+    const failing = saveWithSequence({
+      connection,
+      Counter,
+      build: async (sequenceNumber) => {
+        await save('overtaker');
+        return Entry.build({ sequenceNumber, name: '' });
+      }
+    });
+    await assert.rejects(failing);
+
+    const report = await findSequenceGaps({ Counter, Model: Entry });
+    assert.equal(report.missingCount, 1);
+    assert.deepEqual(report.gaps, [{ from: 1, to: 1, count: 1 }]);
+  });
+
+  test('period counters advance alongside the global sequence', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    const connection = createStandaloneConnection();
+
+    await saver({ connection, Counter, Entry, periodKey: '2026-10-18' })('a');
+    await saver({ connection, Counter, Entry, periodKey: '2026-10-19' })('b');
+    const last = await saver({ connection, Counter, Entry, periodKey: '2026-10-19' })('c');
+
+    assert.equal(last.sequenceNumber, 3);
+    assert.equal(last.periodSequence, 2);
+    assert.equal(Counter.values.get(SEQUENCE_ID), 3);
+    assert.equal(Counter.values.get(periodCounterId('2026-10-18')), 1);
+  });
+});
+
+describe('Player sequence allocation on a replica set', () => {
+  test('a failed insert rolls the counter back with the transaction', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    const save = saver({ connection: createReplicaSetConnection(Counter), Counter, Entry });
+
+    await save('first');
+    await assert.rejects(save(''));
+    const second = await save('second');
+
+    assert.equal(second.sequenceNumber, 2);
+  });
+
+  test('a new period counter starts after numbers already used in the period', async () => {
+    // Three IDs were issued today while the sequence never reset, then the
+    // setting switched to daily: today's counter must not start again at 1
+    const Counter = createCounter();
+    const Entry = createEntryModel({ uniqueFields: ['sequenceNumber', 'playerId'] });
+    const connection = createReplicaSetConnection(Counter);
+    const periodKey = '2026-10-19';
+    const playerId = (periodSequence) => `IDSC${String(periodSequence).padStart(2, '0')}19102026`;
+
+    for (const name of ['a', 'b', 'c']) {
+      await saveWithSequence({
+        connection,
+        Counter,
+        build: (sequenceNumber) => Entry.build({ sequenceNumber, playerId: playerId(sequenceNumber), name })
+      });
+    }
+
+    const seedPeriod = async () => Math.max(...Entry.entries.map(entry => Number(entry.playerId.slice(4, 6))));
+    const saved = await saveWithSequence({
+      connection,
+      Counter,
+      periodKey,
+      seedPeriod,
+      build: (sequenceNumber, periodSequence) => Entry.build({
+        sequenceNumber,
+        periodSequence,
+        playerId: playerId(periodSequence),
+        name: 'd'
+      })
+    });
+
+    assert.equal(saved.periodSequence, 4);
+    assert.equal(saved.playerId, 'IDSC0419102026');
+  });
+
+  test('an existing period counter is not re-seeded', async () => {
+    const Counter = createCounter();
+    const Entry = createEntryModel();
+    let seeded = 0;
+    const seedPeriod = async () => {
+      seeded++;
+      return 0;
+    };
+    const save = saver({ connection: createReplicaSetConnection(Counter), Counter, Entry, periodKey: '2026', seedPeriod });
+
+    await save('a');
+    await save('b');
+
+    assert.equal(seeded, 1);
+    assert.equal(Counter.values.get(periodCounterId('2026')), 2);
+  });
+});
+
+// Against a real server - e.g. the replica set in docker-compose.yml:
+//   TEST_MONGODB_URI="mongodb://localhost:27017/idcs_cricket_test?replicaSet=rs0&directConnection=true" npm test
+describe('Player sequence allocation against MongoDB', { skip: !process.env.TEST_MONGODB_URI && 'TEST_MONGODB_URI is not set' }, () => {
+  test('allocations are gap-free and unique', async (t) => {
+    const mongoose = require('mongoose');
+    const connection = await mongoose.createConnection(process.env.TEST_MONGODB_URI).asPromise();
+    t.after(() => connection.close());
+
+    const Counter = connection.model('SequenceTestCounter', new mongoose.Schema({
+      _id: String,
+      sequence_value: { type: Number, default: 0 }
+    }));
+    const Entry = connection.model('SequenceTestEntry', new mongoose.Schema({
+      sequenceNumber: { type: Number, unique: true },
+      name: { type: String, required: true }
+    }));
+    await Promise.all([Counter.deleteMany({}), Entry.deleteMany({})]);
+    await Promise.all([Counter.createCollection(), Entry.createCollection(), Entry.init()]);
+    t.after(() => Promise.all([Counter.collection.drop(), Entry.collection.drop()]));
+
+    const save = (name) => saveWithSequence({
+      connection,
+      Counter,
+      build: (sequenceNumber) => new Entry({ sequenceNumber, name })
+    });
+
+    await save('first');
+    await assert.rejects(save(''));
+    assert.equal((await save('second')).sequenceNumber, 2);
+
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(save));
+    const report = await findSequenceGaps({ Counter, Model: Entry });
+    assert.equal(report.currentSequence, 7);
+    assert.equal(report.missingCount, 0);
+  });
+});
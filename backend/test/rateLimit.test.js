@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const {
+  createMemoryStore,
+  setRateLimitStore,
+  createRateLimiter,
+  rateLimit,
+  clientAddressKey
+} = require('../utils/rateLimit');
+
+// Start an app limited to `max` requests per client on GET /limited, or with
+// the routes `addRoutes` sets up
+async function startApp({ trustProxy, max, name, addRoutes }) {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+
+  if (addRoutes) {
+    addRoutes(app);
+  } else {
+    const limiter = createRateLimiter({ name, windowMs: 60 * 1000, max });
+    app.get('/limited', rateLimit(limiter, { keyGenerator: clientAddressKey }), (req, res) => {
+      res.json({ success: true, ip: req.ip });
+    });
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}/limited`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('rate limit client key', () => {
+  before(() => setRateLimitStore(createMemoryStore()));
+
+  describe('without a trusted proxy', () => {
+    let app;
+    before(async () => {
+      app = await startApp({ trustProxy: 0, max: 3, name: 'direct' });
+    });
+    after(() => app.close());
+
+    test('a different X-Forwarded-For on every request does not reset the limit', async () => {
+      const statuses = [];
+      for (let i = 1; i <= 5; i++) {
+        const res = await fetch(app.url, { headers: { 'X-Forwarded-For': `198.51.100.${i}` } });
+        statuses.push(res.status);
+        if (res.ok) assert.equal((await res.json()).ip, '127.0.0.1');
+      }
+
+      assert.deepEqual(statuses, [200, 200, 200, 429, 429]);
+    });
+  });
+
+  describe('behind one trusted proxy', () => {
+    let app;
+    before(async () => {
+      app = await startApp({ trustProxy: 1, max: 2, name: 'proxied' });
+    });
+    after(() => app.close());
+
+    test('uses the address the proxy appended, not ones the client sent', async () => {
+      const statuses = [];
+      for (let i = 1; i <= 4; i++) {
+        // The client's own header, then the address the proxy saw
+        const res = await fetch(app.url, { headers: { 'X-Forwarded-For': `198.51.100.${i}, 203.0.113.7` } });
+        statuses.push(res.status);
+        if (res.ok) assert.equal((await res.json()).ip, '203.0.113.7');
+      }
+
+      assert.deepEqual(statuses, [200, 200, 429, 429]);
+    });
+
+    test('different clients behind the proxy have their own limits', async () => {
+      const res = await fetch(app.url, { headers: { 'X-Forwarded-For': '203.0.113.8' } });
+      assert.equal(res.status, 200);
+    });
+  });
+
+  // The same shape as GET /api/availability: every check counts against the
+  // route limit, and email/phone checks also against the contact limit, past
+  // which the answer turns generic instead of a 429
+  describe('availability checks', () => {
+    let app;
+    before(async () => {
+      app = await startApp({
+        trustProxy: 0,
+        addRoutes: (server) => {
+          const availabilityLimiter = createRateLimiter({ name: 'availability-test', windowMs: 60 * 1000, max: 4 });
+          const contactLimiter = createRateLimiter({ name: 'availability-contact-test', windowMs: 60 * 1000, max: 2 });
+
+          server.get('/limited', rateLimit(availabilityLimiter, { keyGenerator: clientAddressKey }), async (req, res) => {
+            const allowance = await contactLimiter.hit(clientAddressKey(req));
+            res.json({ success: true, available: allowance.allowed ? true : null });
+          });
+        }
+      });
+    });
+    after(() => app.close());
+
+    test('rotating X-Forwarded-For neither restores contact answers nor avoids the route limit', async () => {
+      const results = [];
+      for (let i = 1; i <= 5; i++) {
+        const res = await fetch(app.url, { headers: { 'X-Forwarded-For': `198.51.100.${i}` } });
+        results.push(res.ok ? (await res.json()).available : res.status);
+      }
+
+      assert.deepEqual(results, [true, true, null, null, 429]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { writeCsv, writeXlsx } = require('../utils/spreadsheet');
+
+const columns = [
+  { header: 'Player ID', value: row => row.playerId },
+  { header: 'Name', value: row => row.name, width: 30 }
+];
+
+// Rows as a database cursor would give them, counting how many were read.
+// The names are random so the XLSX zip can't compress them away.
+function createRows(total) {
+  const rows = { read: 0 };
+  rows[Symbol.asyncIterator] = async function* () {
+    for (let i = 1; i <= total; i++) {
+      rows.read++;
+      yield { playerId: `IDSC${String(i).padStart(2, '0')}19102026`, name: `Player ${i} ${crypto.randomBytes(100).toString('hex')}` };
+    }
+  };
+  return rows;
+}
+
+// A client that reads slowly, or - with `hangUpAfter` - stops reading and
+// disconnects once it has taken that many bytes
+function createClient({ hangUpAfter = Infinity } = {}) {
+  const client = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      client.received += chunk.length;
+      if (client.received >= hangUpAfter) {
+        setImmediate(() => client.destroy());
+        return;
+      }
+      setImmediate(callback);
+    }
+  });
+  client.received = 0;
+  return client;
+}
+
+describe('spreadsheet export', () => {
+  test('CSV is written in full to a slow client', async () => {
+    const client = createClient();
+    const rows = createRows(200);
+
+    const count = await writeCsv(client, columns, rows);
+
+    assert.equal(count, 200);
+    assert.equal(rows.read, 200);
+    assert.ok(client.writableEnded);
+  });
+
+  test('CSV stops reading rows when the client disconnects mid-download', async () => {
+    const client = createClient({ hangUpAfter: 4096 });
+    const rows = createRows(1000);
+
+    const count = await writeCsv(client, columns, rows);
+
+    assert.ok(count < 1000, `wrote ${count} rows`);
+    assert.ok(rows.read < 1000, `read ${rows.read} rows`);
+    assert.ok(client.destroyed);
+    assert.ok(!client.writableEnded);
+  });
+
+  test('XLSX is written in full to a slow client', async () => {
+    const client = createClient();
+    const rows = createRows(200);
+
+    const count = await writeXlsx(client, columns, rows);
+
+    assert.equal(count, 200);
+    assert.ok(client.writableEnded);
+  });
+
+  test('XLSX stops reading rows when the client disconnects mid-download', async () => {
+    const client = createClient({ hangUpAfter: 4096 });
+    const rows = createRows(5000);
+
+    const count = await writeXlsx(client, columns, rows);
+
+    assert.ok(count < 5000, `wrote ${count} rows`);
+    assert.ok(rows.read < 5000, `read ${rows.read} rows`);
+    assert.ok(client.destroyed);
+  });
+});
@@ -0,0 +1,120 @@
+// In-memory stand-ins for the few Mongoose model calls utils/playerSequence.js
+// makes, so allocation can be tested without a database. Every call yields
+// to the event loop first, so concurrent allocations interleave as they would
+// against a real server.
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Counter collection: findByIdAndUpdate ($inc, upsert), updateOne ($inc, or
+// $max with upsert), findById and findOne
+function createCounter() {
+  const values = new Map();
+
+  return {
+    values,
+
+    async findByIdAndUpdate(id, update) {
+      await tick();
+      values.set(id, (values.get(id) || 0) + update.$inc.sequence_value);
+      return { _id: id, sequence_value: values.get(id) };
+    },
+
+    async updateOne(filter, update) {
+      await tick();
+      if (update.$max) {
+        values.set(filter._id, Math.max(values.get(filter._id) || 0, update.$max.sequence_value));
+        return { modifiedCount: 1 };
+      }
+      if (values.get(filter._id) !== filter.sequence_value) return { modifiedCount: 0 };
+      values.set(filter._id, values.get(filter._id) + update.$inc.sequence_value);
+      return { modifiedCount: 1 };
+    },
+
+    findById(id) {
+      return {
+        lean: async () => {
+          await tick();
+          return values.has(id) ? { _id: id, sequence_value: values.get(id) } : null;
+        }
+      };
+    },
+
+    findOne(filter) {
+      return this.findById(filter._id);
+    }
+  };
+}
+
+// Collection of entries with unique `uniqueFields`. build() returns an unsaved
+// document whose save() fails on a missing name or a duplicate value.
+function createEntryModel({ uniqueFields = ['sequenceNumber'] } = {}) {
+  const entries = [];
+
+  const Model = {
+    entries,
+
+    build(fields) {
+      return {
+        ...fields,
+        async save() {
+          await tick();
+          if (!fields.name) {
+            throw Object.assign(new Error('name is required'), { name: 'ValidationError' });
+          }
+          const taken = uniqueFields.find(field => entries.some(entry => entry[field] === fields[field]));
+          if (taken) {
+            throw Object.assign(new Error(`E11000 duplicate key error: ${taken}`), {
+              code: 11000,
+              keyPattern: { [taken]: 1 }
+            });
+          }
+          entries.push({ ...fields });
+          return { ...fields };
+        }
+      };
+    },
+
+    find() {
+      const sorted = () => [...entries].sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+      const query = {
+        sort: () => query,
+        lean: () => query,
+        cursor: () => sorted()[Symbol.iterator](),
+        then: (resolve, reject) => Promise.resolve(sorted()).then(resolve, reject)
+      };
+      return query;
+    }
+  };
+
+  return Model;
+}
+
+// Connection to a standalone server (no transactions)
+function createStandaloneConnection() {
+  return { db: { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) } };
+}
+
+// Connection to a replica set. transaction() restores the counters if the
+// callback throws, as aborting a real transaction would.
+function createReplicaSetConnection(Counter) {
+  return {
+    db: { admin: () => ({ command: async () => ({ isWritablePrimary: true, setName: 'rs0' }) }) },
+
+    async transaction(callback) {
+      const snapshot = new Map(Counter.values);
+      try {
+        return await callback({ id: 'session' });
+      } catch (error) {
+        Counter.values.clear();
+        snapshot.forEach((value, key) => Counter.values.set(key, value));
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCounter,
+  createEntryModel,
+  createStandaloneConnection,
+  createReplicaSetConnection
+};
@@ -0,0 +1,132 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Printable player ID card.
+//
+// The page is ID-1 card size (85.6 x 54 mm, the size of a bank card) so it can
+// go straight to a card printer or be cut out of a plain print. Only the PDF
+// standard fonts and a locally generated QR code are used, so rendering never
+// needs network access.
+const MM = 72 / 25.4;
+const CARD_WIDTH = 85.6 * MM;
+const CARD_HEIGHT = 54 * MM;
+
+const COLORS = {
+  brand: '#1d4ed8',
+  brandLight: '#dbeafe',
+  text: '#1e293b',
+  muted: '#64748b',
+  border: '#e2e8f0'
+};
+
+// Render the card for `card` = { fullName, playerId, role, battingStyle,
+// bowlingStyle, ageGroup, lookupUrl, issuedAt, timeZone } and resolve with the
+// PDF bytes. The issue date is shown in timeZone - the zone Player IDs are dated in.
+async function renderPlayerIdCard(card) {
+  const qrCode = await QRCode.toBuffer(card.lookupUrl, {
+    errorCorrectionLevel: 'M',
+    margin: 0,
+    width: 300
+  });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [CARD_WIDTH, CARD_HEIGHT],
+      margin: 0,
+      info: {
+        Title: `IDCS Player ID Card - ${card.playerId}`,
+        Author: 'IDCS Cricket',
+        Subject: 'Player ID card'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const pad = 3.5 * MM;
+    const headerHeight = 9 * MM;
+
+    // Header band
+    doc.rect(0, 0, CARD_WIDTH, headerHeight).fill(COLORS.brand);
+    doc.fillColor('#ffffff')
+      .font('Helvetica-Bold').fontSize(9)
+      .text('IDCS CRICKET', pad, 3 * MM, { lineBreak: false });
+    doc.font('Helvetica').fontSize(6)
+      .text('PLAYER ID CARD', pad, 3.6 * MM, {
+        width: CARD_WIDTH - 2 * pad,
+        align: 'right',
+        lineBreak: false
+      });
+
+    // Photo placeholder
+    const photoTop = headerHeight + pad;
+    const photoWidth = 19 * MM;
+    const photoHeight = 24 * MM;
+    doc.rect(pad, photoTop, photoWidth, photoHeight)
+      .lineWidth(0.75).dash(2, { space: 2 }).stroke(COLORS.muted).undash();
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(6)
+      .text('PHOTO', pad, photoTop + photoHeight / 2 - 3, {
+        width: photoWidth,
+        align: 'center',
+        lineBreak: false
+      });
+
+    // QR code
+    const qrSize = 20 * MM;
+    const qrLeft = CARD_WIDTH - pad - qrSize;
+    doc.image(qrCode, qrLeft, photoTop, { width: qrSize, height: qrSize });
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(4.5)
+      .text('Scan to verify', qrLeft, photoTop + qrSize + 1.5, {
+        width: qrSize,
+        align: 'center',
+        lineBreak: false
+      });
+
+    // Player details between the photo and the QR code
+    const detailsLeft = pad + photoWidth + 3 * MM;
+    const detailsWidth = qrLeft - detailsLeft - 2 * MM;
+    const fit = { width: detailsWidth, lineBreak: false, ellipsis: true };
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(8.5)
+      .text(card.fullName, detailsLeft, photoTop, fit);
+    doc.fillColor(COLORS.brand).font('Courier-Bold').fontSize(8)
+      .text(card.playerId, detailsLeft, photoTop + 4.5 * MM, fit);
+
+    const rows = [
+      ['Role', card.role],
+      ['Batting', card.battingStyle],
+      ['Bowling', card.bowlingStyle || 'Does not bowl'],
+      ['Age group', card.ageGroup || '-']
+    ];
+    let rowTop = photoTop + 9.5 * MM;
+    rows.forEach(([label, value]) => {
+      doc.fillColor(COLORS.muted).font('Helvetica').fontSize(5)
+        .text(label.toUpperCase(), detailsLeft, rowTop, fit);
+      doc.fillColor(COLORS.text).font('Helvetica').fontSize(6.5)
+        .text(value || '-', detailsLeft + 11 * MM, rowTop - 0.6, { ...fit, width: detailsWidth - 11 * MM });
+      rowTop += 3.6 * MM;
+    });
+
+    // Footer
+    const footerTop = CARD_HEIGHT - 6 * MM;
+    doc.rect(0, footerTop, CARD_WIDTH, 6 * MM).fill(COLORS.brandLight);
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(5)
+      .text(`Issued ${card.issuedAt.toLocaleDateString('en-GB', { timeZone: card.timeZone })}`, pad, footerTop + 2.2 * MM, {
+        lineBreak: false
+      })
+      .text(card.lookupUrl, pad, footerTop + 2.2 * MM, {
+        width: CARD_WIDTH - 2 * pad,
+        align: 'right',
+        lineBreak: false,
+        ellipsis: true
+      });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderPlayerIdCard
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mail configuration
+const MAIL_FROM = process.env.MAIL_FROM || 'IDCS Cricket <no-reply@idcs.in>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// Built-in transports. Every transport exposes `send(message)` and resolves
+// with `{ messageId }` once the message has been handed off.
+const transportFactories = {
+  // Prints messages to the server log - the default for local development
+  console: () => ({
+    name: 'console',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      console.log('\n📧 ===== Outgoing email (console transport) =====');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log('');
+      console.log(message.text);
+      console.log('📧 ============================================\n');
+      return { messageId };
+    }
+  }),
+
+  // Writes each message as a JSON file so it can be inspected without an SMTP server
+  file: () => ({
+    name: 'file',
+    async send(message) {
+      const messageId = crypto.randomUUID();
+      await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+
+      const fileName = `${Date.now()}-${messageId}.json`;
+      await fs.promises.writeFile(
+        path.join(MAIL_OUTBOX_DIR, fileName),
+        JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      console.log(`📧 Email to ${message.to} written to ${fileName}`);
+      return { messageId };
+    }
+  }),
+
+  // Real delivery through any SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      name: 'smtp',
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+// Register an additional transport factory (e.g. a provider SDK)
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+// Replace the active transport with a ready-made instance
+function setTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+// Lazily create the transport named by MAIL_TRANSPORT
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+    console.log(`📧 Mail transport: ${activeTransport.name}`);
+  }
+  return activeTransport;
+}
+
+// Send an email through the active transport
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject || !text) {
+    throw new Error('Email requires to, subject and text');
+  }
+
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,55 @@
+// Keyset (cursor) pagination.
+//
+// A sort is a list of [path, direction] pairs whose last path is unique, e.g.
+// [['lastName', 1], ['firstName', 1], ['sequenceNumber', 1]], so every
+// document has exactly one place in the order. A page starts after an anchor
+// document - the last one on the previous page - which lets the database walk
+// an index instead of skipping over every earlier row.
+
+// Helper function to turn cursor data into an opaque, URL-safe token
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+// Helper function to read a cursor back - null if it is not one of ours
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Reverse every direction of a sort (for "-field" sort options)
+function reverseSort(sort) {
+  return sort.map(([path, direction]) => [path, -direction]);
+}
+
+// Mongo sort object for a sort
+function toSortObject(sort) {
+  return Object.fromEntries(sort);
+}
+
+// Filter for the documents that come after `anchor` in `sort`:
+//   a > x  OR  (a = x AND b > y)  OR  (a = x AND b = y AND c > z) ...
+function buildKeysetFilter(sort, anchor) {
+  return {
+    $or: sort.map(([path, direction], index) => {
+      const clause = {};
+      sort.slice(0, index).forEach(([earlier]) => {
+        clause[earlier] = anchor[earlier];
+      });
+      clause[path] = { [direction === 1 ? '$gt' : '$lt']: anchor[path] };
+      return clause;
+    })
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  toSortObject,
+  buildKeysetFilter
+};
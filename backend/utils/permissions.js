@@ -0,0 +1,94 @@
+// Staff roles and what each of them may do.
+//
+// players:read      - list and read player sporting profiles
+// players:read-pii  - additionally see contact details, address and date of birth
+// players:export    - download player lists as CSV or Excel
+// players:update    - edit any player's profile, including identity fields
+// players:status    - approve, reject, suspend and reactivate players
+// players:erase     - irreversibly anonymise a player's personal data
+// documents:review  - open and decide on uploaded identity documents
+// stats:read        - registration statistics
+// sequence:read     - Player ID sequence diagnostics
+// staff:manage      - create staff accounts and change their roles
+const STAFF_ROLES = ['super-admin', 'registrar', 'selector', 'read-only'];
+
+const ROLE_PERMISSIONS = {
+  'super-admin': [
+    'players:read',
+    'players:read-pii',
+    'players:export',
+    'players:update',
+    'players:status',
+    'players:erase',
+    'documents:review',
+    'stats:read',
+    'sequence:read',
+    'staff:manage'
+  ],
+  registrar: [
+    'players:read',
+    'players:read-pii',
+    'players:export',
+    'players:update',
+    'players:status',
+    'documents:review',
+    'stats:read',
+    'sequence:read'
+  ],
+  selector: [
+    'players:read',
+    'players:export',
+    'stats:read'
+  ],
+  'read-only': [
+    'players:read',
+    'stats:read'
+  ]
+};
+
+// Player fields only visible with players:read-pii
+const PLAYER_PII_FIELDS = [
+  'userId',
+  'email',
+  'phone',
+  'streetAddress',
+  'postalCode',
+  'dateOfBirth',
+  // Worked out from dateOfBirth, so it goes with it
+  'age',
+  'registrationMetadata'
+];
+
+// Player list filters and sorts worked out from a PII field. Their results
+// narrow a player down to the value, so they need players:read-pii too.
+const PLAYER_PII_LIST_FILTERS = ['ageMin', 'ageMax', 'ageGroup'];
+const PLAYER_PII_LIST_SORTS = ['age'];
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function getPermissions(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+// The PII filters and sort in a player list query (?ageMin=...&sort=-age)
+// that `role` may not use, e.g. ['ageMin', 'sort=-age']
+function getHiddenListParams(role, params) {
+  if (hasPermission(role, 'players:read-pii')) return [];
+
+  const hidden = PLAYER_PII_LIST_FILTERS.filter(param => params[param] !== undefined);
+  const sort = params.sort === undefined ? '' : String(params.sort);
+  if (PLAYER_PII_LIST_SORTS.includes(sort.replace(/^-/, ''))) {
+    hidden.push(`sort=${sort}`);
+  }
+  return hidden;
+}
+
+module.exports = {
+  STAFF_ROLES,
+  PLAYER_PII_FIELDS,
+  hasPermission,
+  getPermissions,
+  getHiddenListParams
+};
@@ -0,0 +1,202 @@
+// Player ID format.
+//
+// Every Player ID is built, parsed and previewed here so the format only lives
+// in one place:
+//   <prefix><sequence><DDMMYYYY>[check digit]
+// e.g. IDSC0719102026 or, with a check digit, IDSC07191020268
+//
+// PLAYER_ID_PREFIX          - leading letters (default IDSC)
+// PLAYER_ID_RESET           - never | daily | yearly; restart the sequence part each period
+// PLAYER_ID_TIMEZONE        - IANA zone the date and periods are taken in (default Asia/Kolkata)
+// PLAYER_ID_SEQUENCE_WIDTH  - minimum digits for the sequence part (default 2)
+// PLAYER_ID_CHECK_DIGIT     - true to append a Luhn check digit
+const RESET_PERIODS = ['never', 'daily', 'yearly'];
+
+// Helper function to compute a Luhn check digit. Letters count as two digits
+// (A=10 ... Z=35), the same expansion ISIN codes use.
+function luhnCheckDigit(value) {
+  const digits = String(value).toUpperCase()
+    .split('')
+    .map(char => (/[0-9]/.test(char) ? char : String(char.charCodeAt(0) - 55)))
+    .join('');
+
+  let sum = 0;
+  for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Helper function to check DD, MM and YYYY make a real calendar date
+function isCalendarDate(day, month, year) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day);
+}
+
+function createPlayerIdFormat({
+  prefix = 'IDSC',
+  reset = 'never',
+  timeZone = 'Asia/Kolkata',
+  sequenceWidth = 2,
+  checkDigit = false
+} = {}) {
+  prefix = String(prefix).toUpperCase();
+
+  if (!/^[A-Z]+$/.test(prefix)) {
+    throw new Error(`Player ID prefix must be letters only: ${prefix}`);
+  }
+  if (!RESET_PERIODS.includes(reset)) {
+    throw new Error(`Player ID reset must be one of ${RESET_PERIODS.join(', ')}: ${reset}`);
+  }
+  if (!Number.isInteger(sequenceWidth) || sequenceWidth < 1) {
+    throw new Error(`Player ID sequence width must be a positive integer: ${sequenceWidth}`);
+  }
+
+  // Throws a RangeError for unknown zones, so a typo fails at startup
+  const dateParts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+
+  const partsOf = (date) => {
+    const parts = Object.fromEntries(
+      dateParts.formatToParts(date).map(({ type, value }) => [type, value])
+    );
+    return { day: parts.day, month: parts.month, year: parts.year };
+  };
+
+  const idPattern = new RegExp(`^${prefix}(\\d{${sequenceWidth},})(\\d{2})(\\d{2})(\\d{4})${checkDigit ? '(\\d)' : ''}$`);
+
+  return {
+    prefix,
+    reset,
+    timeZone,
+    sequenceWidth,
+    checkDigit,
+
+    // Counter period the date falls in, or null when the sequence never resets
+    periodKey(date = new Date()) {
+      const { day, month, year } = partsOf(date);
+      if (reset === 'daily') return `${year}-${month}-${day}`;
+      if (reset === 'yearly') return year;
+      return null;
+    },
+
+    // Build the Player ID for a sequence number issued at `date`
+    format({ sequence, date = new Date() }) {
+      if (!Number.isInteger(sequence) || sequence < 1) {
+        throw new Error(`Invalid Player ID sequence: ${sequence}`);
+      }
+
+      const { day, month, year } = partsOf(date);
+      const body = `${prefix}${String(sequence).padStart(sequenceWidth, '0')}${day}${month}${year}`;
+      return checkDigit ? `${body}${luhnCheckDigit(body)}` : body;
+    },
+
+    // Split a Player ID into its parts, or null if it does not match this
+    // format. The date is always the last eight digits (before any check
+    // digit), so the sequence is whatever precedes it - exactly as format()
+    // writes it: padded to the width, with no extra leading zeros beyond that.
+    parse(playerId) {
+      const match = idPattern.exec(String(playerId || '').trim().toUpperCase());
+      if (!match) return null;
+
+      const [id, sequence, day, month, year, check] = match;
+      if (Number(sequence) < 1 || String(Number(sequence)).padStart(sequenceWidth, '0') !== sequence) {
+        return null;
+      }
+      if (!isCalendarDate(day, month, year)) return null;
+
+      return {
+        prefix,
+        sequence: Number(sequence),
+        date: `${day}${month}${year}`,
+        checkDigit: check || null,
+        valid: !checkDigit || luhnCheckDigit(id.slice(0, -1)) === check
+      };
+    },
+
+    // Whether a Player ID matches this format, including its check digit
+    isValid(playerId) {
+      const parts = this.parse(playerId);
+      return !!(parts && parts.valid);
+    },
+
+    // Pattern for the Player IDs issued in a period (a periodKey()), with the
+    // sequence part captured. Matches IDs written before the reset setting
+    // changed, whether or not they carry a check digit.
+    periodIdPattern(periodKey) {
+      let datePattern;
+      if (/^\d{4}-\d{2}-\d{2}$/.test(periodKey)) {
+        const [year, month, day] = periodKey.split('-');
+        datePattern = `${day}${month}${year}`;
+      } else if (/^\d{4}$/.test(periodKey)) {
+        datePattern = `\\d{4}${periodKey}`;
+      } else {
+        throw new Error(`Invalid Player ID period: ${periodKey}`);
+      }
+      return new RegExp(`^${prefix}(\\d+)${datePattern}\\d?$`);
+    },
+
+    // Human-readable summary for API responses and the registration download
+    describe() {
+      const sequenceLabel = {
+        never: 'registration number',
+        daily: 'registration number for the day',
+        yearly: 'registration number for the year'
+      }[reset];
+
+      return {
+        prefix,
+        reset,
+        timeZone,
+        sequenceWidth,
+        checkDigit,
+        pattern: `${prefix} + ${sequenceLabel} + DDMMYYYY${checkDigit ? ' + check digit' : ''}`,
+        sequenceLabel
+      };
+    }
+  };
+}
+
+let activeFormat = null;
+
+// Replace the active format (e.g. to try another configuration)
+function setPlayerIdFormat(format) {
+  activeFormat = format;
+}
+
+// Lazily create the format described by the PLAYER_ID_* settings
+function getPlayerIdFormat() {
+  if (!activeFormat) {
+    activeFormat = createPlayerIdFormat({
+      prefix: process.env.PLAYER_ID_PREFIX || undefined,
+      reset: process.env.PLAYER_ID_RESET || undefined,
+      timeZone: process.env.PLAYER_ID_TIMEZONE || undefined,
+      sequenceWidth: process.env.PLAYER_ID_SEQUENCE_WIDTH
+        ? parseInt(process.env.PLAYER_ID_SEQUENCE_WIDTH, 10)
+        : undefined,
+      checkDigit: process.env.PLAYER_ID_CHECK_DIGIT === 'true'
+    });
+    console.log(`🆔 Player ID format: ${activeFormat.describe().pattern} (${activeFormat.timeZone})`);
+  }
+  return activeFormat;
+}
+
+module.exports = {
+  RESET_PERIODS,
+  luhnCheckDigit,
+  createPlayerIdFormat,
+  setPlayerIdFormat,
+  getPlayerIdFormat
+};
@@ -0,0 +1,26 @@
+const { getPlayerIdFormat } = require('./playerIdFormat');
+
+// What a player can sign in or reset a password with - their Player ID, email
+// address or username. Each identifier names exactly one of these, told apart
+// by its shape, so a username can never be mistaken for someone's Player ID.
+
+// Whether a value has the shape of a Player ID in the configured format
+// (check digit or not), and so can't be used as a username
+function looksLikePlayerId(value, idFormat = getPlayerIdFormat()) {
+  return idFormat.parse(value) !== null;
+}
+
+// Player query for a login identifier: a Player ID, an email address (it has
+// an @) or otherwise a username
+function identifierQuery(identifier, idFormat = getPlayerIdFormat()) {
+  const value = String(identifier).trim();
+
+  if (looksLikePlayerId(value, idFormat)) return { playerId: value.toUpperCase() };
+  if (value.includes('@')) return { email: value.toLowerCase() };
+  return { username: value };
+}
+
+module.exports = {
+  looksLikePlayerId,
+  identifierQuery
+};
@@ -0,0 +1,141 @@
+// Player search.
+//
+// Each player stores the words it can be found by, lower-cased and without
+// accents: searchTokens for name, Player ID, username and city, and
+// searchTokensPrivate for email and phone, which only staff allowed to see
+// contact details may search. Both are indexed, and every search term is
+// matched as an escaped, anchored prefix of a token, so a search walks the
+// index however many players there are.
+
+const { getPlayerIdFormat } = require('./playerIdFormat');
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 6;
+const MAX_TOKEN_LENGTH = 64;
+
+// Player fields the tokens are built from
+const SEARCH_SOURCE_FIELDS = [
+  'firstName', 'middleName', 'lastName', 'playerId', 'username', 'city', 'email', 'phone'
+];
+
+// Helper function to lower-case text and strip accents ("José" -> "jose")
+function normalizeText(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+// Helper function to split text into words
+function words(value) {
+  return normalizeText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Escape user input for use inside a regular expression
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to de-duplicate tokens and drop ones too long to be useful
+function uniqueTokens(tokens) {
+  return [...new Set(tokens.filter(token => token && token.length <= MAX_TOKEN_LENGTH))];
+}
+
+// Build { searchTokens, searchTokensPrivate } for a player (or plain object)
+function buildSearchTokens(player) {
+  const publicTokens = [];
+  const privateTokens = [];
+
+  ['firstName', 'middleName', 'lastName', 'city'].forEach(field => {
+    publicTokens.push(...words(player[field]));
+  });
+
+  // Whole Player ID and username, their parts, and numbers without leading
+  // zeros so "7" finds player_007
+  ['playerId', 'username'].forEach(field => {
+    if (!player[field]) return;
+    publicTokens.push(normalizeText(player[field]));
+    words(player[field]).forEach(word => {
+      publicTokens.push(word);
+      if (/^0+[0-9]/.test(word)) publicTokens.push(word.replace(/^0+/, ''));
+    });
+  });
+
+  // A Player ID is one run of characters (IDSC0719102026), so its
+  // registration number and date are tokens of their own: "7", "07" and
+  // "19102026" all find it
+  const idParts = player.playerId ? getPlayerIdFormat().parse(player.playerId) : null;
+  if (idParts) {
+    const sequence = String(idParts.sequence);
+    publicTokens.push(sequence, sequence.padStart(getPlayerIdFormat().sequenceWidth, '0'), idParts.date);
+  }
+
+  if (player.email) {
+    const email = normalizeText(player.email);
+    const [local, domain] = email.split('@');
+    privateTokens.push(email, local, ...words(local));
+    if (domain) privateTokens.push(domain);
+  }
+
+  // E.164 digits, and the national number people usually type
+  if (player.phone) {
+    const digits = String(player.phone).replace(/[^0-9]/g, '');
+    if (digits) privateTokens.push(digits, digits.slice(-10));
+  }
+
+  return {
+    searchTokens: uniqueTokens(publicTokens),
+    searchTokensPrivate: uniqueTokens(privateTokens)
+  };
+}
+
+// Turn a search box entry into terms. A phone number typed with spaces or
+// dashes ("+91 98765 43210") is kept together as one run of digits.
+function parseSearchTerms(search) {
+  const text = String(search === undefined || search === null ? '' : search).slice(0, MAX_SEARCH_LENGTH);
+
+  if (/^[+\d\s().-]+$/.test(text) && text.replace(/[^0-9]/g, '').length >= 4) {
+    return [text.replace(/[^0-9]/g, '')];
+  }
+
+  const terms = text.split(/\s+/)
+    .map(term => normalizeText(term).replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean);
+
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+}
+
+// Query matching players that have a token starting with every term
+function buildSearchFilter(terms, { includePrivate = false } = {}) {
+  return {
+    $and: terms.map(term => {
+      const prefix = { $regex: `^${escapeRegex(term)}` };
+      return includePrivate
+        ? { $or: [{ searchTokens: prefix }, { searchTokensPrivate: prefix }] }
+        : { searchTokens: prefix };
+    })
+  };
+}
+
+// Aggregation expression ranking a match: 2 for each term that is a whole
+// token ("kohli"), 1 for each that is only the start of one ("koh")
+function buildSearchScore(terms, { includePrivate = false } = {}) {
+  const tokens = includePrivate
+    ? { $concatArrays: [{ $ifNull: ['$searchTokens', []] }, { $ifNull: ['$searchTokensPrivate', []] }] }
+    : { $ifNull: ['$searchTokens', []] };
+
+  return {
+    $add: terms.map(term => ({ $cond: [{ $in: [term, tokens] }, 2, 1] }))
+  };
+}
+
+module.exports = {
+  SEARCH_SOURCE_FIELDS,
+  normalizeText,
+  escapeRegex,
+  buildSearchTokens,
+  parseSearchTerms,
+  buildSearchFilter,
+  buildSearchScore
+};
@@ -0,0 +1,177 @@
+// Player sequence allocation.
+//
+// Sequence numbers must match registration order without holes, so the counter
+// is only advanced together with the insert that uses it:
+//   - on a replica set (or mongos) both run in one transaction, so a failed
+//     insert rolls the counter back as well
+//   - on a standalone server, where transactions are unavailable, a failed
+//     insert hands its number back as long as nobody has allocated after it
+// Anything that still slips through shows up in findSequenceGaps().
+//
+// The global sequence records registration order. When Player IDs restart
+// their number each day or year, a second per-period counter is advanced in
+// the same step. A period counter starts after the highest number already
+// used in its period (seedPeriod), so switching the reset setting part way
+// through a day or year cannot hand out a Player ID that already exists.
+const SEQUENCE_ID = 'player_sequence';
+
+// Helper function to name the counter for a Player ID period (e.g. 2026-10-19)
+function periodCounterId(periodKey) {
+  return periodKey ? `${SEQUENCE_ID}:${periodKey}` : SEQUENCE_ID;
+}
+
+const transactionSupport = new WeakMap();
+
+// Helper function to check whether the connected deployment supports transactions
+async function supportsTransactions(connection) {
+  if (!transactionSupport.has(connection)) {
+    const check = connection.db.admin().command({ hello: 1 })
+      .then(hello => Boolean(hello.setName) || hello.msg === 'isdbgrid')
+      .catch(error => {
+        transactionSupport.delete(connection);
+        throw error;
+      });
+    transactionSupport.set(connection, check);
+  }
+  return transactionSupport.get(connection);
+}
+
+// Helper function to advance the counter, optionally inside a transaction
+async function nextSequence(Counter, session, counterId = SEQUENCE_ID) {
+  const counter = await Counter.findByIdAndUpdate(
+    counterId,
+    { $inc: { sequence_value: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.sequence_value;
+}
+
+// Helper function to hand back a number nobody used. Only succeeds while it is
+// still the latest allocation - otherwise the hole stays and is reported.
+async function releaseSequence(Counter, sequenceNumber, counterId = SEQUENCE_ID) {
+  const result = await Counter.updateOne(
+    { _id: counterId, sequence_value: sequenceNumber },
+    { $inc: { sequence_value: -1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Helper function to move a counter up to at least `value` (never down)
+async function raiseSequence(Counter, value, counterId = SEQUENCE_ID, session) {
+  await Counter.updateOne(
+    { _id: counterId },
+    { $max: { sequence_value: value } },
+    { upsert: true, session }
+  );
+}
+
+// Helper function to create a period's counter on first use, starting from
+// `seedPeriod(periodKey)` - the highest number already used in the period
+async function ensurePeriodCounter(Counter, periodKey, seedPeriod, session) {
+  const counterId = periodCounterId(periodKey);
+  const existing = await Counter.findOne({ _id: counterId }, { _id: 1 }, { session }).lean();
+  if (existing) return;
+
+  await raiseSequence(Counter, await seedPeriod(periodKey), counterId, session);
+}
+
+// Allocate the next sequence number(s) and insert the document built for them.
+// `build(sequenceNumber, periodSequence)` must return a new, unsaved document on
+// every call, because a transaction may be retried after a write conflict.
+// Without a periodKey the period sequence is the global one. `seedPeriod`
+// (optional) resolves with the highest period sequence already in use.
+async function saveWithSequence({ connection, Counter, periodKey = null, seedPeriod = null, build }) {
+  const allocate = async (session) => {
+    const sequenceNumber = await nextSequence(Counter, session);
+    if (periodKey && seedPeriod) {
+      await ensurePeriodCounter(Counter, periodKey, seedPeriod, session);
+    }
+    const periodSequence = periodKey
+      ? await nextSequence(Counter, session, periodCounterId(periodKey))
+      : sequenceNumber;
+    return { sequenceNumber, periodSequence };
+  };
+
+  if (await supportsTransactions(connection)) {
+    let saved;
+    await connection.transaction(async (session) => {
+      const { sequenceNumber, periodSequence } = await allocate(session);
+      const doc = await build(sequenceNumber, periodSequence);
+      saved = await doc.save({ session });
+    });
+    return saved;
+  }
+
+  const { sequenceNumber, periodSequence } = await allocate();
+  try {
+    const doc = await build(sequenceNumber, periodSequence);
+    return await doc.save();
+  } catch (error) {
+    const released = await releaseSequence(Counter, sequenceNumber).catch(() => false);
+    if (!released) {
+      console.error(`⚠️ Sequence ${sequenceNumber} could not be released and is now a gap`);
+    }
+    if (periodKey) {
+      await releaseSequence(Counter, periodSequence, periodCounterId(periodKey)).catch(() => false);
+    }
+    throw error;
+  }
+}
+
+// Current value of a counter (0 before the first allocation)
+async function currentSequence(Counter, periodKey = null) {
+  const counter = await Counter.findById(periodCounterId(periodKey)).lean();
+  return counter ? counter.sequence_value : 0;
+}
+
+// List the sequence numbers between 1 and the counter that no document holds
+async function findSequenceGaps({ Counter, Model, limit = 500 }) {
+  const lastAllocated = await currentSequence(Counter);
+
+  const gaps = [];
+  let missingCount = 0;
+  let expected = 1;
+
+  const addGap = (from, to) => {
+    missingCount += to - from + 1;
+    if (gaps.length < limit) {
+      gaps.push({ from, to, count: to - from + 1 });
+    }
+  };
+
+  const cursor = Model.find({ sequenceNumber: { $gte: 1 } }, { sequenceNumber: 1 })
+    .sort({ sequenceNumber: 1 })
+    .lean()
+    .cursor();
+
+  for await (const { sequenceNumber } of cursor) {
+    if (sequenceNumber > expected) {
+      addGap(expected, sequenceNumber - 1);
+    }
+    expected = Math.max(expected, sequenceNumber + 1);
+  }
+
+  // Allocated at the end of the sequence but never stored
+  if (lastAllocated >= expected) {
+    addGap(expected, lastAllocated);
+  }
+
+  return {
+    currentSequence: lastAllocated,
+    missingCount,
+    gaps,
+    truncated: gaps.length === limit && gaps.reduce((sum, gap) => sum + gap.count, 0) < missingCount
+  };
+}
+
+module.exports = {
+  SEQUENCE_ID,
+  periodCounterId,
+  supportsTransactions,
+  nextSequence,
+  releaseSequence,
+  raiseSequence,
+  saveWithSequence,
+  currentSequence,
+  findSequenceGaps
+};
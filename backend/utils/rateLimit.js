@@ -0,0 +1,156 @@
+// Fixed-window rate limiting.
+//
+// A store counts hits per key and exposes:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key)                 -> { count, resetAt } or null
+// The memory store only limits a single process; register a shared store
+// (e.g. Redis) when running several instances.
+
+// In-process store - expired windows are swept once a minute
+function createMemoryStore() {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  const live = (key) => {
+    const window = windows.get(key);
+    return window && window.resetAt > Date.now() ? window : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      let window = live(key);
+      if (!window) {
+        window = { count: 0, resetAt: Date.now() + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { ...window };
+    },
+
+    async get(key) {
+      const window = live(key);
+      return window ? { ...window } : null;
+    }
+  };
+}
+
+const storeFactories = {
+  memory: createMemoryStore
+};
+
+let activeStore = null;
+
+// Register an additional store factory
+function registerRateLimitStore(name, factory) {
+  storeFactories[name] = factory;
+}
+
+// Replace the active store with a ready-made instance
+function setRateLimitStore(store) {
+  if (!store || typeof store.increment !== 'function' || typeof store.get !== 'function') {
+    throw new Error('Rate limit store must implement increment and get');
+  }
+  activeStore = store;
+}
+
+// Lazily create the store named by RATE_LIMIT_STORE
+function getRateLimitStore() {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    activeStore = factory();
+    console.log(`🚦 Rate limit store: ${activeStore.name}`);
+  }
+  return activeStore;
+}
+
+// A named limit of `max` hits per `windowMs` for each key
+function createRateLimiter({ name, windowMs, max }) {
+  const storeKey = (key) => `${name}:${key}`;
+
+  const describe = (window) => {
+    const count = window ? window.count : 0;
+    const resetAt = window ? window.resetAt : Date.now() + windowMs;
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(max - count, 0),
+      retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1)
+    };
+  };
+
+  return {
+    // Count a hit and report whether it is within the limit
+    async hit(key) {
+      return describe(await getRateLimitStore().increment(storeKey(key), windowMs));
+    },
+
+    // Report whether another hit would still be allowed, without counting one
+    async check(key) {
+      const window = await getRateLimitStore().get(storeKey(key));
+      return { ...describe(window), allowed: !window || window.count < max };
+    }
+  };
+}
+
+// Helper function to set the standard rate limit headers on a response
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', result.retryAfter);
+  if (!result.allowed) {
+    res.setHeader('Retry-After', result.retryAfter);
+  }
+}
+
+// Key a request by the client address Express resolved. req.ip only follows
+// X-Forwarded-For as far as the app's 'trust proxy' setting allows, so a
+// client can't pick its own key by sending the header.
+function clientAddressKey(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// Express middleware counting every request against the limiter
+function rateLimit(limiter, { keyGenerator, message = 'Too many requests. Please try again later.' }) {
+  return async (req, res, next) => {
+    try {
+      const result = await limiter.hit(keyGenerator(req));
+      setRateLimitHeaders(res, result);
+
+      if (!result.allowed) {
+        return res.status(429).json({
+          success: false,
+          message,
+          retryAfter: result.retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  registerRateLimitStore,
+  setRateLimitStore,
+  getRateLimitStore,
+  createRateLimiter,
+  setRateLimitHeaders,
+  rateLimit,
+  clientAddressKey
+};
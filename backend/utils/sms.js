@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Built-in SMS providers. Every provider exposes `send({ to, text })` and
+// resolves with `{ messageId }` once the message has been handed off.
+const providerFactories = {
+  // Writes messages to the server log instead of sending them - for local development
+  log: () => ({
+    name: 'log',
+    async send({ to, text }) {
+      const messageId = crypto.randomUUID();
+      console.log(`📱 SMS to ${to} (log provider): ${text}`);
+      return { messageId };
+    }
+  })
+};
+
+let activeProvider = null;
+
+// Register an additional provider factory (e.g. an SMS gateway SDK)
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+// Replace the active provider with a ready-made instance
+function setProvider(provider) {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must implement send({ to, text })');
+  }
+  activeProvider = provider;
+}
+
+// Lazily create the provider named by SMS_PROVIDER
+function getProvider() {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER || 'log';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    activeProvider = factory();
+    console.log(`📱 SMS provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+// Send a text message through the active provider
+async function sendSms({ to, text }) {
+  if (!to || !text) {
+    throw new Error('SMS requires to and text');
+  }
+
+  return getProvider().send({ to, text });
+}
+
+module.exports = {
+  sendSms,
+  registerProvider,
+  setProvider,
+  getProvider
+};
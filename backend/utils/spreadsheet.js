@@ -0,0 +1,135 @@
+const ExcelJS = require('exceljs');
+
+// Streaming CSV and XLSX writers.
+//
+// Both take columns = [{ header, value(row), type, width }] and an async
+// iterable of rows (e.g. a Mongoose cursor) and write each row as it arrives,
+// so an export never holds more than one row in memory. `type` is 'date' for
+// calendar dates, 'datetime' for timestamps; booleans are written as Yes/No.
+// If the stream closes early (the client went away) they stop reading rows
+// and resolve with the count written so far, leaving the stream unended.
+
+// Helper function to wait for the stream to emit `event` ('drain', 'finish').
+// Resolves false if it closes first - a client that disconnects never does either.
+function waitFor(stream, event) {
+  if (stream.destroyed) return Promise.resolve(false);
+
+  return new Promise((resolve, reject) => {
+    const settle = (result, error) => {
+      stream.off(event, onEvent);
+      stream.off('close', onClose);
+      stream.off('error', onError);
+      if (error) reject(error);
+      else resolve(result);
+    };
+    const onEvent = () => settle(true);
+    const onClose = () => settle(false);
+    const onError = (error) => settle(false, error);
+
+    stream.on(event, onEvent);
+    stream.on('close', onClose);
+    stream.on('error', onError);
+  });
+}
+
+// Helper function to let pending I/O callbacks run before carrying on
+function nextTurn() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Helper function to write a chunk, waiting for the output to drain before
+// writing more. Resolves false once the stream has closed.
+async function write(stream, chunk) {
+  if (stream.destroyed) return false;
+  return stream.write(chunk) || waitFor(stream, 'drain');
+}
+
+// Helper function to bring a cell value into the form both formats share
+function cellValue(column, row) {
+  const value = column.value(row);
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+}
+
+// Quote a CSV field when needed, and stop spreadsheet apps from running text
+// that looks like a formula (=, +, -, @) - numbers such as +91 phone numbers stay as they are
+function toCsvField(value, type) {
+  if (value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = type === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write rows as CSV (UTF-8 with a byte order mark, so Excel shows accented names correctly)
+async function writeCsv(stream, columns, rows) {
+  let count = 0;
+
+  if (!await write(stream, `\uFEFF${columns.map(column => toCsvField(column.header)).join(',')}\r\n`)) {
+    return count;
+  }
+  for await (const row of rows) {
+    if (!await write(stream, `${columns.map(column => toCsvField(cellValue(column, row), column.type)).join(',')}\r\n`)) {
+      return count;
+    }
+    count++;
+  }
+
+  stream.end();
+  return count;
+}
+
+// Write rows as an XLSX workbook with a single sheet
+async function writeXlsx(stream, columns, rows, { sheetName = 'Sheet1' } = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map((column, index) => ({
+    key: String(index),
+    header: column.header,
+    width: column.width || Math.max(12, column.header.length + 2),
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd' }
+      : column.type === 'datetime' ? { numFmt: 'yyyy-mm-dd hh:mm' }
+        : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  // Committed rows go through the zip into the stream without waiting for
+  // it, so after each one let the zip pass it on, then wait while the
+  // stream is full
+  let count = 0;
+  for await (const row of rows) {
+    if (stream.destroyed) return count;
+    worksheet.addRow(columns.map(column => cellValue(column, row))).commit();
+    count++;
+    await nextTurn();
+    if (stream.writableLength >= stream.writableHighWaterMark && !await waitFor(stream, 'drain')) return count;
+  }
+
+  if (stream.destroyed) return count;
+  await worksheet.commit();
+  // commit() only settles once the stream finishes, which a closed one never does
+  await Promise.race([workbook.commit(), waitFor(stream, 'finish')]);
+  return count;
+}
+
+module.exports = {
+  writeCsv,
+  writeXlsx
+};
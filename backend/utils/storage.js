@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage adapters. Every adapter exposes:
+//   save(buffer, { extension })  -> { key, size }
+//   createReadStream(key)        -> readable stream of the stored bytes
+//   remove(key)                  -> resolves once the object is gone
+// Keys are opaque to callers so adapters can be swapped without data changes.
+
+// Local disk adapter - files live under a single root directory
+function createLocalDiskStorage({ root }) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(buffer, { extension = '' } = {}) {
+      const now = new Date();
+      const folder = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+      const key = `${folder}/${crypto.randomUUID()}${extension}`;
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+      return { key, size: buffer.length };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+const adapterFactories = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  })
+};
+
+let activeStorage = null;
+
+// Register an additional adapter factory (e.g. an object store)
+function registerStorageAdapter(name, factory) {
+  adapterFactories[name] = factory;
+}
+
+// Replace the active adapter with a ready-made instance
+function setStorage(adapter) {
+  if (!adapter || typeof adapter.save !== 'function' || typeof adapter.createReadStream !== 'function') {
+    throw new Error('Storage adapter must implement save, createReadStream and remove');
+  }
+  activeStorage = adapter;
+}
+
+// Lazily create the adapter named by STORAGE_DRIVER
+function getStorage() {
+  if (!activeStorage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = adapterFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeStorage = factory();
+    console.log(`🗄️ Document storage: ${activeStorage.name}`);
+  }
+  return activeStorage;
+}
+
+module.exports = {
+  createLocalDiskStorage,
+  registerStorageAdapter,
+  setStorage,
+  getStorage
+};
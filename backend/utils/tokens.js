@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// Token configuration
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const ID_CARD_LINK_TTL = process.env.ID_CARD_LINK_TTL || '24h';
+const TOKEN_ISSUER = 'idcs-cricket-registration';
+
+// Fall back to per-process secrets so local development works without a .env file.
+// Tokens signed with these do not survive a restart.
+function resolveSecret(name) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  console.warn(`⚠️ ${name} is not set - using a temporary secret for this process`);
+  return crypto.randomBytes(48).toString('hex');
+}
+
+const ACCESS_TOKEN_SECRET = resolveSecret('JWT_ACCESS_SECRET');
+const REFRESH_TOKEN_SECRET = resolveSecret('JWT_REFRESH_SECRET');
+const EMAIL_TOKEN_SECRET = resolveSecret('JWT_EMAIL_SECRET');
+
+// Sign a short-lived access token for an authenticated session
+function signAccessToken({ subject, sessionId, kind = 'player' }) {
+  return jwt.sign(
+    { sid: sessionId, kind, typ: 'access' },
+    ACCESS_TOKEN_SECRET,
+    { subject: String(subject), expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+}
+
+// Sign a long-lived refresh token bound to a stored session
+function signRefreshToken({ subject, sessionId, kind = 'player' }) {
+  return jwt.sign(
+    { sid: sessionId, kind, typ: 'refresh', jti: crypto.randomBytes(16).toString('hex') },
+    REFRESH_TOKEN_SECRET,
+    { subject: String(subject), expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`, issuer: TOKEN_ISSUER }
+  );
+}
+
+// Verify an access token, returning its payload or throwing
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, ACCESS_TOKEN_SECRET, { issuer: TOKEN_ISSUER });
+  if (payload.typ !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+// Verify a refresh token, returning its payload or throwing
+function verifyRefreshToken(token) {
+  const payload = jwt.verify(token, REFRESH_TOKEN_SECRET, { issuer: TOKEN_ISSUER });
+  if (payload.typ !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+// Sign an email verification token. The address is embedded so a link
+// stops working if the player's email changes before it is used.
+function signEmailVerificationToken({ subject, email }) {
+  return jwt.sign(
+    { email, typ: 'email-verification' },
+    EMAIL_TOKEN_SECRET,
+    { subject: String(subject), expiresIn: EMAIL_VERIFICATION_TTL, issuer: TOKEN_ISSUER }
+  );
+}
+
+// Verify an email verification token, returning its payload or throwing
+function verifyEmailVerificationToken(token) {
+  const payload = jwt.verify(token, EMAIL_TOKEN_SECRET, { issuer: TOKEN_ISSUER });
+  if (payload.typ !== 'email-verification') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+// Sign a download link token for a player's ID card, handed out right after
+// registration before the player has signed in. Shares the emailed-link
+// secret; the typ claim keeps the two token kinds apart.
+function signIdCardToken({ subject }) {
+  return jwt.sign(
+    { typ: 'id-card' },
+    EMAIL_TOKEN_SECRET,
+    { subject: String(subject), expiresIn: ID_CARD_LINK_TTL, issuer: TOKEN_ISSUER }
+  );
+}
+
+// Verify an ID card download token, returning its payload or throwing
+function verifyIdCardToken(token) {
+  const payload = jwt.verify(token, EMAIL_TOKEN_SECRET, { issuer: TOKEN_ISSUER });
+  if (payload.typ !== 'id-card') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return payload;
+}
+
+// Refresh tokens are only ever stored as hashes
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Seconds until a freshly signed token expires (for client bookkeeping)
+function getExpiresIn(token) {
+  const decoded = jwt.decode(token);
+  return decoded.exp - decoded.iat;
+}
+
+function getRefreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signIdCardToken,
+  verifyIdCardToken,
+  hashToken,
+  getExpiresIn,
+  getRefreshTokenExpiry
+};
@@ -0,0 +1,235 @@
+/**
+ * account.js - Account recovery pages for IDCS Cricket Registration
+ * Forgot password, reset password and change password flows
+ */
+
+class AccountPages {
+    constructor() {
+        this.form = document.getElementById('accountForm');
+        this.messageBox = document.getElementById('formMessage');
+        this.submitBtn = document.getElementById('submitBtn');
+
+        // Same API host as the registration form (see PlayerRegistration.apiBaseUrl)
+        this.apiBaseUrl = 'https://my-cricket-reg-app.vercel.app';
+
+        this.init();
+    }
+
+    /**
+     * Wire up the flow for the current page
+     */
+    init() {
+        const page = document.body.dataset.page;
+
+        if (page === 'forgot-password') {
+            this.form.addEventListener('submit', (e) => this.handleForgotPassword(e));
+        } else if (page === 'reset-password') {
+            this.setupResetPassword();
+        } else if (page === 'change-password') {
+            this.form.addEventListener('submit', (e) => this.handleChangePassword(e));
+        }
+    }
+
+    /**
+     * Request a reset link by username, email or Player ID
+     */
+    async handleForgotPassword(event) {
+        event.preventDefault();
+
+        const identifier = document.getElementById('identifier').value.trim();
+        if (!identifier) {
+            this.showFieldError(document.getElementById('identifier'), 'Enter your username, email or Player ID');
+            return;
+        }
+
+        await this.submit(async () => {
+            const data = await this.postJson('/api/auth/forgot-password', { identifier });
+            this.showMessage(data.message, 'success');
+            this.form.reset();
+        });
+    }
+
+    /**
+     * Read the token from the emailed link and set a new password
+     */
+    setupResetPassword() {
+        const token = new URLSearchParams(window.location.search).get('token');
+
+        if (!token) {
+            this.showMessage('This reset link is incomplete. Please open the full link from your email.', 'error');
+            this.submitBtn.disabled = true;
+            this.submitBtn.dataset.locked = 'true';
+            return;
+        }
+
+        this.form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+
+            const password = document.getElementById('password');
+            const confirmPassword = document.getElementById('confirmPassword');
+            if (!this.checkPasswordsMatch(password, confirmPassword)) return;
+
+            await this.submit(async () => {
+                const data = await this.postJson('/api/auth/reset-password', {
+                    token,
+                    password: password.value
+                });
+                this.showMessage(data.message, 'success');
+                this.form.reset();
+
+                // Reset links are single-use
+                this.submitBtn.dataset.locked = 'true';
+            });
+        });
+    }
+
+    /**
+     * Sign in with the current password, change it, then sign out again
+     */
+    async handleChangePassword(event) {
+        event.preventDefault();
+
+        const newPassword = document.getElementById('newPassword');
+        const confirmPassword = document.getElementById('confirmPassword');
+        if (!this.checkPasswordsMatch(newPassword, confirmPassword)) return;
+
+        const currentPassword = document.getElementById('currentPassword').value;
+
+        await this.submit(async () => {
+            const session = await this.postJson('/api/auth/login', {
+                identifier: document.getElementById('identifier').value.trim(),
+                password: currentPassword
+            });
+
+            try {
+                const data = await this.postJson('/api/auth/change-password', {
+                    currentPassword,
+                    newPassword: newPassword.value
+                }, session.accessToken);
+                this.showMessage(data.message, 'success');
+                this.form.reset();
+            } finally {
+                // This page only needs the session for the change itself
+                this.postJson('/api/auth/logout', { refreshToken: session.refreshToken })
+                    .catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Run a request with loading state and error reporting
+     */
+    async submit(action) {
+        this.clearErrors();
+        this.submitBtn.disabled = true;
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('❌ Account request failed:', error);
+            this.showMessage(error.message, 'error');
+            this.showFieldErrors(error.fieldErrors);
+        } finally {
+            this.submitBtn.disabled = !!this.submitBtn.dataset.locked;
+        }
+    }
+
+    /**
+     * POST JSON to the API, throwing with the server message on failure
+     */
+    async postJson(path, body, accessToken) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (accessToken) {
+            headers.Authorization = `Bearer ${accessToken}`;
+        }
+
+        const response = await fetch(`${this.apiBaseUrl}${path}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+            error.fieldErrors = data.errors;
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Check the confirmation field matches
+     */
+    checkPasswordsMatch(password, confirmPassword) {
+        if (password.value !== confirmPassword.value) {
+            this.showFieldError(confirmPassword, 'Passwords do not match');
+            return false;
+        }
+        this.clearFieldError(confirmPassword);
+        return true;
+    }
+
+    /**
+     * Show a page-level message
+     */
+    showMessage(message, type) {
+        this.messageBox.textContent = message;
+        this.messageBox.className = `form-message ${type}`;
+        this.messageBox.style.display = 'block';
+    }
+
+    /**
+     * Map server field errors onto the inputs that caused them
+     */
+    showFieldErrors(fieldErrors) {
+        if (!fieldErrors || Array.isArray(fieldErrors)) return;
+
+        Object.keys(fieldErrors).forEach(name => {
+            const field = document.getElementById(name) ||
+                (name === 'password' && document.getElementById('newPassword'));
+            if (field) {
+                this.showFieldError(field, fieldErrors[name]);
+            }
+        });
+    }
+
+    /**
+     * Show field-specific error
+     */
+    showFieldError(field, message) {
+        this.clearFieldError(field);
+
+        const errorSpan = document.createElement('span');
+        errorSpan.className = 'field-error';
+        errorSpan.textContent = message;
+
+        field.parentElement.appendChild(errorSpan);
+        field.classList.add('invalid');
+    }
+
+    /**
+     * Clear field-specific error
+     */
+    clearFieldError(field) {
+        const existingError = field.parentElement.querySelector('.field-error');
+        if (existingError) {
+            existingError.remove();
+        }
+        field.classList.remove('invalid');
+    }
+
+    /**
+     * Clear all messages
+     */
+    clearErrors() {
+        this.messageBox.style.display = 'none';
+        this.form.querySelectorAll('input').forEach(field => this.clearFieldError(field));
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.accountPages = new AccountPages();
+});
@@ -14,9 +14,24 @@ class PlayerRegistration {
         
         // API configuration https://my-cricket-reg-app.vercel.app
         this.apiBaseUrl = 'https://my-cricket-reg-app.vercel.app';
+
+        // Field rules shared with the server (shared/playerFields.js), set by
+        // loadSharedRules(). Until then, or if they could not be loaded, the
+        // limits in index.html apply and the server still validates every submission.
+        this.fieldSpec = null;
+
+        // Offline PIN code data (shared/pinCodes.js) for the state list and autofill
+        this.pinCodes = null;
+
+        // Password rules (shared/passwordPolicy.js), configured from the server
+        this.passwordPolicy = null;
         
         // Registration data storage
         this.registrationData = null;
+
+        // Idempotency key reused when the same submission is retried
+        this.idempotencyKey = null;
+        this.isSubmitting = false;
         
         // Initialize the application
         this.init();
@@ -37,16 +52,48 @@ class PlayerRegistration {
         // Set up password validation
         this.setupPasswordValidation();
         
-        // Load saved draft if available
-        this.loadSavedDraft();
-        
         // Preview next Player ID
         this.previewNextPlayerId();
-        
-        // Setup auto-save
-        this.setupAutoSave();
-        
-        console.log('✅ Registration system initialized successfully');
+
+        this.loadSharedRules().then(() => {
+            // Fill the state list before a saved draft selects one
+            this.populateStateOptions();
+
+            // Apply the shared field rules to the form inputs
+            this.applyFieldConstraints();
+            this.loadPasswordPolicy();
+
+            // Load saved draft if available, then start auto-saving over it
+            this.loadSavedDraft();
+            this.setupAutoSave();
+
+            console.log('✅ Registration system initialized successfully');
+        });
+    }
+
+    /**
+     * Load the rules shared with the server from the API (apiBaseUrl/shared),
+     * one at a time - playerFields.js builds on the other three. A script that
+     * fails to load only leaves its rules unset.
+     */
+    async loadSharedRules() {
+        for (const name of ['pinCodes', 'emailRules', 'passwordPolicy', 'playerFields']) {
+            try {
+                await new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = `${this.apiBaseUrl}/shared/${name}.js`;
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error(`Could not load ${script.src}`));
+                    document.head.appendChild(script);
+                });
+            } catch (error) {
+                console.warn('⚠️ Shared rules not loaded:', error.message);
+            }
+        }
+
+        this.fieldSpec = window.PlayerFields || null;
+        this.pinCodes = window.PinCodes || null;
+        this.passwordPolicy = window.PasswordPolicy || null;
     }
 
     /**
@@ -59,6 +106,10 @@ class PlayerRegistration {
         // Form reset
         window.resetForm = () => this.reset();
         window.downloadPlayerDetails = () => this.downloadPlayerDetails();
+        window.downloadIdCard = () => this.downloadIdCard();
+        window.resendVerificationEmail = () => this.resendVerificationEmail();
+        window.requestPhoneOtp = () => this.requestPhoneOtp();
+        window.confirmPhoneOtp = () => this.confirmPhoneOtp();
         
         // Real-time form validation
         const inputs = this.form.querySelectorAll('input, select');
@@ -72,6 +123,63 @@ class PlayerRegistration {
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
     }
 
+    /**
+     * Add the field spec's constraints (required, lengths, patterns, date range)
+     * to the inputs. The limits written in index.html stay as the fallback and
+     * a field the HTML requires is never made optional.
+     */
+    applyFieldConstraints() {
+        if (!this.fieldSpec) {
+            console.warn('⚠️ Shared field rules not loaded - relying on server validation');
+            return;
+        }
+
+        Object.entries(this.fieldSpec.FIELDS).forEach(([name, field]) => {
+            const input = document.getElementById(name);
+            if (!input || input.readOnly) return;
+
+            if (field.required) input.required = true;
+            if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+            if (field.minLength !== undefined) input.minLength = field.minLength;
+            if (field.pattern) {
+                input.pattern = field.pattern;
+                input.title = field.patternMessage || '';
+            }
+
+            if (field.type === 'date') {
+                // Youngest allowed: minAge today; oldest: the day before turning maxAge + 1
+                const today = new Date();
+                const toInputDate = (date) => date.toISOString().slice(0, 10);
+                const latest = new Date(today.getFullYear() - field.minAge, today.getMonth(), today.getDate(), 12);
+                const earliest = new Date(today.getFullYear() - field.maxAge - 1, today.getMonth(), today.getDate() + 1, 12);
+                input.max = toInputDate(latest);
+                input.min = toInputDate(earliest);
+            }
+        });
+    }
+
+    /**
+     * Add the states and union territories to the state select
+     */
+    populateStateOptions() {
+        if (!this.pinCodes) {
+            console.warn('⚠️ PIN code data not loaded - state list unavailable');
+            return;
+        }
+
+        const stateSelect = document.getElementById('state');
+        this.pinCodes.STATES.forEach(state => {
+            stateSelect.appendChild(new Option(state, state));
+        });
+    }
+
+    /**
+     * Check one field against the shared rules, returning an error message or null
+     */
+    getFieldError(name, value) {
+        return this.fieldSpec ? this.fieldSpec.validateField(name, value) : null;
+    }
+
     /**
      * Set up real-time validation for all fields
      */
@@ -97,6 +205,7 @@ class PlayerRegistration {
         this.setupPhoneValidation();
         this.setupUsernameValidation();
         this.setupDateValidation();
+        this.setupPinCodeAutofill();
     }
 
     /**
@@ -109,14 +218,16 @@ class PlayerRegistration {
         const validatePasswords = () => {
             const pwd = password.value;
             const confirmPwd = confirmPassword.value;
+            const result = this.checkPassword(pwd);
 
-            // Password strength validation
-            if (pwd.length > 0) {
-                if (pwd.length < 6) {
-                    password.setCustomValidity('Password must be at least 6 characters long');
-                    this.showFieldError(password, 'Password too short');
-                } else {
-                    password.setCustomValidity('');
+            // Strength meter with the rules still to meet
+            this.renderPasswordStrength(pwd ? result : null);
+
+            // Password strength validation - the meter shows progress while
+            // typing, the message only comes once the player moves on
+            if (result) {
+                password.setCustomValidity(result.valid || !pwd ? '' : result.message);
+                if (result.valid) {
                     this.clearFieldError(password);
                 }
             }
@@ -135,6 +246,87 @@ class PlayerRegistration {
 
         password.addEventListener('input', validatePasswords);
         confirmPassword.addEventListener('input', validatePasswords);
+        this.revalidatePassword = validatePasswords;
+
+        password.addEventListener('blur', () => {
+            const result = password.value ? this.checkPassword(password.value) : null;
+            if (result && !result.valid) {
+                this.showFieldError(password, result.message);
+            }
+        });
+
+        // The password may not contain these, so re-check when they change
+        ['username', 'firstName', 'lastName', 'email', 'phone'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                if (password.value) validatePasswords();
+            });
+        });
+    }
+
+    /**
+     * Use the password policy the server enforces (GET /api/password-policy)
+     */
+    async loadPasswordPolicy() {
+        if (!this.passwordPolicy) {
+            console.warn('⚠️ Password rules not loaded - relying on server validation');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/password-policy`);
+            const data = await response.json();
+
+            if (data.success && data.policy) {
+                this.passwordPolicy.setPolicy(data.policy);
+                if (document.getElementById('password').value && this.revalidatePassword) {
+                    this.revalidatePassword();
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load password policy, using defaults:', error.message);
+        }
+    }
+
+    /**
+     * Check a password against the policy and the details entered so far.
+     * Returns the PasswordPolicy result, or null if the rules are not loaded.
+     */
+    checkPassword(password) {
+        if (!this.passwordPolicy) return null;
+
+        const personal = {};
+        ['username', 'firstName', 'lastName', 'email', 'phone'].forEach(id => {
+            personal[id] = document.getElementById(id).value.trim();
+        });
+
+        return this.passwordPolicy.checkPassword(password, { personal });
+    }
+
+    /**
+     * Show the strength bar and which password rules are met
+     */
+    renderPasswordStrength(result) {
+        const meter = document.getElementById('passwordStrength');
+        if (!meter) return;
+
+        if (!result) {
+            meter.style.display = 'none';
+            return;
+        }
+
+        meter.style.display = 'block';
+        meter.dataset.score = result.score;
+        meter.querySelector('.strength-fill').style.width = `${(result.score / 4) * 100}%`;
+        meter.querySelector('.strength-label').textContent = `Strength: ${result.strength}`;
+
+        const list = meter.querySelector('.strength-rules');
+        list.innerHTML = '';
+        result.rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = rule.met ? 'met' : 'unmet';
+            item.textContent = `${rule.met ? '✓' : '✗'} ${rule.label}`;
+            list.appendChild(item);
+        });
     }
 
     /**
@@ -145,12 +337,15 @@ class PlayerRegistration {
         
         emailInput.addEventListener('blur', () => {
             const email = emailInput.value.trim();
-            if (email && !this.isValidEmail(email)) {
-                this.showFieldError(emailInput, 'Please enter a valid email address');
+            const emailError = email && this.getFieldError('email', email);
+            if (emailError) {
+                this.showFieldError(emailInput, emailError);
             } else {
                 this.clearFieldError(emailInput);
             }
         });
+
+        this.setupAvailabilityCheck(emailInput, 'email');
     }
 
     /**
@@ -161,12 +356,15 @@ class PlayerRegistration {
         
         phoneInput.addEventListener('blur', () => {
             const phone = phoneInput.value.trim();
-            if (phone && !this.isValidPhone(phone)) {
-                this.showFieldError(phoneInput, 'Please enter a valid phone number (10-15 digits)');
+            const phoneError = phone && this.getFieldError('phone', phone);
+            if (phoneError) {
+                this.showFieldError(phoneInput, phoneError);
             } else {
                 this.clearFieldError(phoneInput);
             }
         });
+
+        this.setupAvailabilityCheck(phoneInput, 'phone');
     }
 
     /**
@@ -177,12 +375,200 @@ class PlayerRegistration {
         
         usernameInput.addEventListener('blur', () => {
             const username = usernameInput.value.trim();
-            if (username && !this.isValidUsername(username)) {
-                this.showFieldError(usernameInput, 'Username can only contain letters, numbers, and underscores (3-30 characters)');
+            const usernameError = username && this.getFieldError('username', username);
+            if (usernameError) {
+                this.showFieldError(usernameInput, usernameError);
             } else {
                 this.clearFieldError(usernameInput);
             }
         });
+
+        this.setupAvailabilityCheck(usernameInput, 'username');
+    }
+
+    /**
+     * Check with the server, shortly after the player stops typing, that a
+     * unique field (email, username or phone) is still free
+     */
+    setupAvailabilityCheck(input, field) {
+        let timer = null;
+        let lastResult = null;
+
+        const render = (data) => {
+            if (data.available === false) {
+                this.showFieldError(input, data.message);
+                // Left in place when already shown, so moving focus to a
+                // suggestion (which blurs the input) does not rebuild it
+                const shown = input.parentElement.querySelector('.field-suggestions');
+                if (!shown && data.suggestions && data.suggestions.length > 0) {
+                    this.showUsernameSuggestions(input, data.suggestions);
+                }
+                return;
+            }
+
+            this.clearFieldStatus(input);
+            if (data.available === true) {
+                this.showFieldStatus(input, data.message);
+            }
+        };
+
+        const check = async () => {
+            const value = input.value.trim();
+            if (!value || this.getFieldError(field, value)) {
+                this.clearFieldStatus(input);
+                return;
+            }
+
+            // Blur handlers clear messages, so show the answer we already have
+            if (lastResult && lastResult.value === value) {
+                render(lastResult.data);
+                return;
+            }
+
+            const params = new URLSearchParams({ field, value });
+            if (field === 'username') {
+                params.set('firstName', document.getElementById('firstName').value.trim());
+                params.set('lastName', document.getElementById('lastName').value.trim());
+            }
+
+            try {
+                const response = await fetch(`${this.apiBaseUrl}/api/availability?${params}`);
+                const data = await response.json();
+
+                // The player kept typing while the request was out
+                if (input.value.trim() !== value) return;
+
+                if (!response.ok || !data.success) {
+                    console.warn(`⚠️ Availability check for ${field} skipped:`, data.message);
+                    this.clearFieldStatus(input);
+                    return;
+                }
+
+                lastResult = { value, data };
+                render(data);
+            } catch (error) {
+                console.warn(`⚠️ Could not check ${field} availability:`, error.message);
+            }
+        };
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            this.clearFieldStatus(input);
+            timer = setTimeout(check, 600);
+        });
+
+        input.addEventListener('blur', () => {
+            clearTimeout(timer);
+            check();
+        });
+    }
+
+    /**
+     * Show a positive note (e.g. "Username is available") under a field
+     */
+    showFieldStatus(field, message) {
+        const statusSpan = document.createElement('span');
+        statusSpan.className = 'field-status';
+        statusSpan.textContent = message;
+
+        field.parentElement.appendChild(statusSpan);
+    }
+
+    /**
+     * Offer free usernames as buttons that fill in the field
+     */
+    showUsernameSuggestions(field, suggestions) {
+        const container = document.createElement('div');
+        container.className = 'field-suggestions';
+        container.append('Try: ');
+
+        suggestions.forEach(suggestion => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = suggestion;
+            button.addEventListener('click', () => {
+                field.value = suggestion;
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                field.focus();
+            });
+            container.appendChild(button);
+        });
+
+        field.parentElement.appendChild(container);
+    }
+
+    /**
+     * Clear availability notes and suggestions from a field
+     */
+    clearFieldStatus(field) {
+        field.parentElement.querySelectorAll('.field-status, .field-suggestions')
+            .forEach(element => element.remove());
+    }
+
+    /**
+     * Fill in state, district and city once a known PIN code is typed, and
+     * flag a PIN code that does not fit the chosen state
+     */
+    setupPinCodeAutofill() {
+        const pinInput = document.getElementById('postalCode');
+        const stateSelect = document.getElementById('state');
+        const cityInput = document.getElementById('city');
+        const districtInput = document.getElementById('district');
+
+        // Never overwrites what the player typed themselves
+        const fill = (field, value) => {
+            if (!value || (field.value.trim() && field.dataset.autofilled !== 'true')) return;
+            field.value = value;
+            field.dataset.autofilled = 'true';
+            this.clearFieldError(field);
+        };
+
+        pinInput.addEventListener('input', () => {
+            const pin = pinInput.value.trim();
+            this.clearFieldStatus(pinInput);
+            if (!this.pinCodes || pin.length < 6) return;
+
+            const pinError = this.getFieldError('postalCode', pin);
+            if (pinError) {
+                this.showFieldError(pinInput, pinError);
+                return;
+            }
+
+            const match = this.pinCodes.lookupPinCode(pin);
+            if (!match) return;
+
+            if (match.state && stateSelect.value !== match.state) {
+                stateSelect.value = match.state;
+                this.clearFieldError(stateSelect);
+            }
+            fill(cityInput, match.city);
+            fill(districtInput, match.district);
+
+            const place = [match.district, match.state || match.states.join(' / ')].filter(Boolean).join(', ');
+            if (place) {
+                this.showFieldStatus(pinInput, place);
+            }
+        });
+
+        // Once edited, an autofilled value is the player's own
+        [cityInput, districtInput].forEach(field => {
+            field.addEventListener('input', () => {
+                delete field.dataset.autofilled;
+            });
+        });
+
+        stateSelect.addEventListener('change', () => {
+            const pin = pinInput.value.trim();
+            if (!this.fieldSpec || !pin || !stateSelect.value || this.getFieldError('postalCode', pin)) return;
+
+            const { errors } = this.fieldSpec.checkConsistency({ postalCode: pin, state: stateSelect.value });
+            if (errors.postalCode) {
+                this.clearFieldStatus(pinInput);
+                this.showFieldError(pinInput, errors.postalCode);
+            } else {
+                this.clearFieldError(pinInput);
+            }
+        });
     }
 
     /**
@@ -192,11 +578,10 @@ class PlayerRegistration {
         const dobInput = document.getElementById('dateOfBirth');
         
         dobInput.addEventListener('change', () => {
-            const dob = new Date(dobInput.value);
-            const age = this.calculateAge(dob);
+            const dobError = dobInput.value && this.getFieldError('dateOfBirth', dobInput.value);
             
-            if (age < 10 || age > 65) {
-                this.showFieldError(dobInput, 'Age must be between 10 and 65 years');
+            if (dobError) {
+                this.showFieldError(dobInput, dobError);
             } else {
                 this.clearFieldError(dobInput);
             }
@@ -227,6 +612,9 @@ class PlayerRegistration {
         }
         this.autoSaveTimer = setTimeout(() => this.saveFormDraft(), 2000);
 
+        // Edited data is a new submission, not a retry of the previous one
+        this.idempotencyKey = null;
+
         // Clear validation errors on input
         if (input.classList.contains('invalid')) {
             this.clearFieldError(input);
@@ -314,6 +702,11 @@ class PlayerRegistration {
         event.preventDefault();
         
         console.log('📝 Form submission initiated');
+
+        // Ignore double clicks while a submission is in flight
+        if (this.isSubmitting) {
+            return;
+        }
         
         // Validate form before submission
         if (!this.validateForm()) {
@@ -321,6 +714,7 @@ class PlayerRegistration {
         }
 
         // Show loading state
+        this.isSubmitting = true;
         this.showLoading();
 
         try {
@@ -329,7 +723,11 @@ class PlayerRegistration {
             
             // Add client-side metadata
             formData.clientTimestamp = Date.now();
-            formData.clientRandom = this.generateRandomString(12);
+            // Kept across retries so the server can replay instead of registering twice
+            if (!this.idempotencyKey) {
+                this.idempotencyKey = this.generateRandomString(24);
+            }
+            formData.clientRandom = this.idempotencyKey;
             
             console.log('🚀 Submitting registration data...');
             
@@ -341,13 +739,16 @@ class PlayerRegistration {
             
             // Clear saved draft
             this.clearFormDraft();
+            this.idempotencyKey = null;
             
             console.log('✅ Registration completed successfully');
             
         } catch (error) {
             console.error('❌ Registration error:', error);
-            this.showError(error.message);
+            const highlighted = error.fieldErrors ? this.showFieldErrors(error.fieldErrors) : 0;
+            this.showError(error.message, { scroll: highlighted === 0 });
         } finally {
+            this.isSubmitting = false;
             this.hideLoading();
         }
     }
@@ -358,12 +759,13 @@ class PlayerRegistration {
     validateForm() {
         console.log('🔍 Validating form...');
         
-        const errors = [];
+        const errors = {};
         
         // Get form values
         const formData = this.collectFormData();
         
-        // Required field validation
+        // Required field validation - kept even when the shared rules are
+        // loaded, so a failed script load never skips it
         const requiredFields = {
             firstName: 'First name',
             lastName: 'Last name',
@@ -382,56 +784,41 @@ class PlayerRegistration {
             password: 'Password'
         };
 
-        // Check for missing required fields
         Object.keys(requiredFields).forEach(field => {
             if (!formData[field] || String(formData[field]).trim() === '') {
-                errors.push(`${requiredFields[field]} is required`);
+                errors[field] = `${requiredFields[field]} is required`;
             }
         });
 
-        // Specific validations
-        if (formData.password && formData.password.length < 6) {
-            errors.push('Password must be at least 6 characters long');
-        }
-
-        // if (formData.password !== formData.confirmPassword) {
-        //     errors.push('Passwords do not match');
-        // }
-
-        if (formData.email && !this.isValidEmail(formData.email)) {
-            errors.push('Please enter a valid email address');
-        }
-
-        if (formData.phone && !this.isValidPhone(formData.phone)) {
-            errors.push('Please enter a valid phone number');
-        }
-
-        if (formData.username && !this.isValidUsername(formData.username)) {
-            errors.push('Username must be 3-30 characters and contain only letters, numbers, and underscores');
-        }
-
-        if (formData.postalCode && !/^[0-9]{6}$/.test(formData.postalCode)) {
-            errors.push('Postal code must be 6 digits');
-        }
+        // Lengths, patterns and date range set on the inputs (index.html,
+        // tightened by applyFieldConstraints)
+        this.form.querySelectorAll('input[name], select[name]').forEach(input => {
+            if (input.type === 'checkbox' || errors[input.name] || input.validity.valid) return;
+            errors[input.name] = input.validity.patternMismatch && input.title
+                ? input.title
+                : input.validationMessage;
+        });
 
-        // Age validation
-        if (formData.dateOfBirth) {
-            const age = this.calculateAge(new Date(formData.dateOfBirth));
-            if (age < 10 || age > 65) {
-                errors.push('Age must be between 10 and 65 years');
-            }
+        // Same rules the server enforces (shared/playerFields.js), on top of the above
+        if (this.fieldSpec) {
+            const { errors: fieldErrors } = this.fieldSpec.validatePlayer(formData);
+            Object.keys(fieldErrors).forEach(field => {
+                if (!errors[field]) errors[field] = fieldErrors[field];
+            });
         }
 
         // Terms agreement
         const agreeToTerms = document.getElementById('agreeToTerms').checked;
         if (!agreeToTerms) {
-            errors.push('Please agree to the Terms & Conditions');
+            errors.agreeToTerms = 'Please agree to the Terms & Conditions';
         }
 
         // Show errors if any
-        if (errors.length > 0) {
+        const messages = Object.values(errors);
+        if (messages.length > 0) {
             console.warn('⚠️ Form validation errors:', errors);
-            this.showError(errors.join('\n'));
+            const highlighted = this.showFieldErrors(errors);
+            this.showError(messages.join('\n'), { scroll: highlighted === 0 });
             return false;
         }
 
@@ -466,6 +853,7 @@ class PlayerRegistration {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Idempotency-Key': data.clientRandom
                 },
                 body: JSON.stringify(data)
             });
@@ -480,7 +868,14 @@ class PlayerRegistration {
                 if (responseData.warning) {
                     this.displayBackendWarning(responseData.warning);
                 }
-                throw new Error(responseData.message || `HTTP error! status: ${response.status}`);
+                const apiError = new Error(responseData.message || `HTTP error! status: ${response.status}`);
+                apiError.code = responseData.code;
+                // Per-field messages come as { field: message }
+                if (responseData.errors && !Array.isArray(responseData.errors) && typeof responseData.errors === 'object') {
+                    apiError.fieldErrors = responseData.errors;
+                    apiError.fieldCodes = responseData.fieldCodes || {};
+                }
+                throw apiError;
             }
 
             return responseData;
@@ -598,9 +993,10 @@ class PlayerRegistration {
         this.successPage.style.display = 'block';
 
         // Populate success page data
-        const playerId = data.playerId || this.generateFallbackPlayerId();
+        const playerId = data.playerId || 'Pending';
         const userId = data.userId || this.generateFallbackUserId(formData);
         const sequenceNumber = data.sequenceNumber || 1;
+        const idBreakdown = this.getPlayerIdBreakdown(data);
         
         const registrationDate = data.registrationDate ? 
             new Date(data.registrationDate).toLocaleDateString('en-GB') : 
@@ -611,10 +1007,13 @@ class PlayerRegistration {
         this.updateSuccessPageElement('playerId', playerId);
         this.updateSuccessPageElement('registrationDate', registrationDate);
         this.updateSuccessPageElement('playerEmail', formData.email);
+        this.updateSuccessPageElement('emailStatusTitle', data.emailVerificationSent ?
+            'Verification Link Sent' : 'Verify Your Email');
+        this.updateSuccessPageElement('playerPhone', formData.phone);
         this.updateSuccessPageElement('userId', userId);
-        this.updateSuccessPageElement('sequenceNumber', String(sequenceNumber).padStart(2, '0'));
-        this.updateSuccessPageElement('sequenceInBreakdown', String(sequenceNumber).padStart(2, '0'));
-        this.updateSuccessPageElement('sequenceText', this.getOrdinalNumber(sequenceNumber));
+        this.updateSuccessPageElement('sequenceNumber', idBreakdown.sequence);
+        this.updateSuccessPageElement('sequenceInBreakdown', idBreakdown.sequence);
+        this.updateSuccessPageElement('sequenceText', this.getOrdinalNumber(idBreakdown.sequenceValue));
 
         // Store registration data for download
         this.registrationData = {
@@ -625,9 +1024,11 @@ class PlayerRegistration {
             email: formData.email,
             phone: formData.phone,
             city: formData.city,
+            district: formData.district,
             state: formData.state,
             role: formData.role,
             registrationDate,
+            idBreakdown,
             ...data
         };
 
@@ -643,6 +1044,130 @@ class PlayerRegistration {
         console.log('✅ Success page displayed successfully');
     }
 
+    /**
+     * Ask the server to resend the email verification link
+     */
+    async resendVerificationEmail() {
+        const button = document.getElementById('resendVerificationBtn');
+        const email = this.registrationData && this.registrationData.email;
+
+        if (!email) {
+            this.showError('No registration data available to resend verification');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+
+            const response = await fetch(`${this.apiBaseUrl}/api/auth/resend-verification`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+            }
+
+            this.updateSuccessPageElement('emailStatusTitle', 'Verification Link Sent');
+            console.log('📧 Verification email resend requested');
+        } catch (error) {
+            console.error('❌ Resend verification failed:', error);
+            this.showError(error.message);
+        } finally {
+            // Re-enable after the server-side cooldown has passed
+            setTimeout(() => {
+                if (button) button.disabled = false;
+            }, 60000);
+        }
+    }
+
+    /**
+     * Ask the server to text a verification code to the registered mobile
+     */
+    async requestPhoneOtp() {
+        const button = document.getElementById('sendOtpBtn');
+        const data = this.registrationData;
+
+        if (!data || !data.playerId || !data.phone) {
+            this.showError('No registration data available for mobile verification');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+
+            const response = await fetch(`${this.apiBaseUrl}/api/auth/phone-otp/request`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ playerId: data.playerId, phone: data.phone })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            document.getElementById('otpEntry').style.display = 'flex';
+            document.getElementById('otpCode').focus();
+            if (button) button.textContent = 'Resend code';
+
+            // Re-enable once the server-side cooldown has passed
+            setTimeout(() => {
+                if (button) button.disabled = false;
+            }, (result.resendCooldownSeconds || 60) * 1000);
+
+            console.log('📱 Mobile verification code requested');
+        } catch (error) {
+            console.error('❌ OTP request failed:', error);
+            this.showError(error.message);
+            if (button) button.disabled = false;
+        }
+    }
+
+    /**
+     * Confirm the code the player received by SMS
+     */
+    async confirmPhoneOtp() {
+        const codeInput = document.getElementById('otpCode');
+        const code = codeInput.value.trim();
+        const data = this.registrationData;
+
+        if (!/^[0-9]{6}$/.test(code)) {
+            this.showFieldError(codeInput, 'Enter the 6-digit code');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.apiBaseUrl}/api/auth/phone-otp/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ playerId: data.playerId, phone: data.phone, code })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            this.clearFieldError(codeInput);
+            this.updateSuccessPageElement('phoneStatusTitle', 'Mobile Verified');
+            document.getElementById('phoneOtpForm').style.display = 'none';
+
+            console.log('✅ Mobile number verified');
+        } catch (error) {
+            console.error('❌ OTP verification failed:', error);
+            this.showFieldError(codeInput, error.message);
+        }
+    }
+
     /**
      * Update success page element safely
      */
@@ -697,9 +1222,10 @@ class PlayerRegistration {
     }
 
     /**
-     * Show error message
+     * Show error message. Pass { scroll: false } when the page is already
+     * scrolled to a highlighted field.
      */
-    showError(message) {
+    showError(message, { scroll = true } = {}) {
         console.error('❌ Showing error:', message);
         
         // Remove existing errors
@@ -731,7 +1257,35 @@ class PlayerRegistration {
         }, 10000);
 
         // Scroll error into view
-        errorDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (scroll) {
+            errorDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    /**
+     * Highlight each field in a { field: message } map and bring the first
+     * one (in form order) into view. Returns how many fields were found.
+     */
+    showFieldErrors(fieldErrors) {
+        const fields = Object.keys(fieldErrors)
+            .map(name => document.getElementById(name))
+            .filter(field => field && this.form.contains(field));
+
+        fields.forEach(field => {
+            field.classList.remove('valid');
+            this.showFieldError(field, fieldErrors[field.id]);
+        });
+
+        if (fields.length === 0) {
+            return 0;
+        }
+
+        const [first] = fields.sort((a, b) =>
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        first.focus({ preventScroll: true });
+
+        return fields.length;
     }
 
     /**
@@ -777,10 +1331,13 @@ class PlayerRegistration {
         fields.forEach(field => {
             field.classList.remove('valid', 'invalid');
             this.clearFieldError(field);
+            this.clearFieldStatus(field);
         });
+        this.renderPasswordStrength(null);
 
         // Clear registration data
         this.registrationData = null;
+        this.idempotencyKey = null;
 
         // Clear saved draft
         this.clearFormDraft();
@@ -820,21 +1377,23 @@ Player Information:
 - Email: ${data.email}
 - Phone: ${data.phone}
 - Location: ${data.city}, ${data.state}
+- District: ${data.district || 'Not provided'}
 - Role: ${data.role}
 - Registration Date: ${data.registrationDate}
 
 ID Format Explanation:
-- Player ID Format: idsc + sequence number + ddmmyyyy
+- Player ID Format: ${data.idBreakdown.pattern}
 - Your Player ID "${data.playerId}" breakdown:
-  * idsc = IDCS Cricket prefix
-  * ${String(data.sequenceNumber).padStart(2, '0')} = You are player number ${data.sequenceNumber}
-  * ${data.playerId ? data.playerId.slice(-8) : 'DDMMYYYY'} = Registration date
+  * ${data.idBreakdown.prefix} = IDCS Cricket prefix
+  * ${data.idBreakdown.sequence} = Your ${data.idBreakdown.sequenceLabel} (${data.idBreakdown.sequenceValue})
+  * ${data.idBreakdown.date} = Registration date${data.idBreakdown.checkDigit ? `
+  * ${data.idBreakdown.checkDigit} = Check digit that catches mistyped IDs` : ''}
 
 Important Notes:
 - Your Player ID (${data.playerId}) is your public identification for tournaments and events
 - Your User ID (${data.userId}) is used internally for secure data management
 - Both IDs are unique and permanently linked to your account
-- Your sequence number (${data.sequenceNumber}) shows your registration order for the day
+- Your ${data.idBreakdown.sequenceLabel} (${data.idBreakdown.sequenceValue}) shows your registration order${data.idBreakdown.periodText}
 - Keep this information safe for future reference
 
 Contact Information:
@@ -879,6 +1438,49 @@ Building Champions, Creating Legends
         console.log('✅ Player details download completed');
     }
 
+    /**
+     * Download the printable PDF ID card rendered by the server
+     */
+    async downloadIdCard() {
+        const button = document.getElementById('downloadIdCardBtn');
+        const token = this.registrationData && this.registrationData.idCardToken;
+
+        if (!token) {
+            this.showError('No registration data available for download');
+            return;
+        }
+
+        try {
+            if (button) button.disabled = true;
+
+            const response = await fetch(`${this.apiBaseUrl}/api/id-cards/${encodeURIComponent(token)}`);
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `IDCS_ID_Card_${this.registrationData.playerId}.pdf`;
+
+            // Trigger download
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+
+            console.log('🪪 ID card download completed');
+        } catch (error) {
+            console.error('❌ ID card download failed:', error);
+            this.showError(error.message);
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
     /**
      * Auto-save functionality
      */
@@ -993,40 +1595,28 @@ Building Champions, Creating Legends
      * Validate email format
      */
     isValidEmail(email) {
-        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return regex.test(email);
+        return !this.getFieldError('email', email);
     }
 
     /**
      * Validate phone format
      */
     isValidPhone(phone) {
-        const regex = /^[+]?[0-9\s\-\(\)]{10,15}$/;
-        return regex.test(phone);
+        return !this.getFieldError('phone', phone);
     }
 
     /**
      * Validate username format
      */
     isValidUsername(username) {
-        const regex = /^[a-zA-Z0-9_]{3,30}$/;
-        return regex.test(username);
+        return !this.getFieldError('username', username);
     }
 
     /**
      * Calculate age from date of birth
      */
     calculateAge(dob) {
-        const today = new Date();
-        const birthDate = new Date(dob);
-        let age = today.getFullYear() - birthDate.getFullYear();
-        const monthDiff = today.getMonth() - birthDate.getMonth();
-        
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-            age--;
-        }
-        
-        return age;
+        return this.fieldSpec ? this.fieldSpec.calculateAge(dob) : null;
     }
 
     /**
@@ -1063,19 +1653,32 @@ Building Champions, Creating Legends
     }
 
     /**
-     * Generate fallback Player ID (client-side only)
+     * Split the Player ID into its parts using the format the server reported
      */
-    generateFallbackPlayerId() {
-        const now = new Date();
-        const day = String(now.getDate()).padStart(2, '0');
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const year = now.getFullYear();
-        const dateStr = `${day}${month}${year}`;
-        
-        const randomSeq = Math.floor(Math.random() * 99) + 1;
-        const seqStr = String(randomSeq).padStart(2, '0');
-        
-        return `idsc${seqStr}${dateStr}`;
+    getPlayerIdBreakdown(data) {
+        const format = data.playerIdFormat || {
+            prefix: 'IDSC',
+            reset: 'never',
+            sequenceWidth: 2,
+            checkDigit: false,
+            pattern: 'IDSC + registration number + DDMMYYYY',
+            sequenceLabel: 'registration number'
+        };
+        const sequenceValue = data.periodSequence || data.sequenceNumber || 1;
+        const sequence = String(sequenceValue).padStart(format.sequenceWidth, '0');
+        const playerId = data.playerId || '';
+        const dateStart = format.prefix.length + sequence.length;
+
+        return {
+            pattern: format.pattern,
+            prefix: format.prefix,
+            sequence,
+            sequenceValue,
+            sequenceLabel: format.sequenceLabel,
+            date: playerId.slice(dateStart, dateStart + 8) || 'DDMMYYYY',
+            checkDigit: format.checkDigit ? playerId.slice(-1) : null,
+            periodText: { daily: ' for the day', yearly: ' for the year' }[format.reset] || ''
+        };
     }
 
     /**
@@ -1117,6 +1720,30 @@ function downloadPlayerDetails() {
     }
 }
 
+function downloadIdCard() {
+    if (window.playerRegistration) {
+        window.playerRegistration.downloadIdCard();
+    }
+}
+
+function resendVerificationEmail() {
+    if (window.playerRegistration) {
+        window.playerRegistration.resendVerificationEmail();
+    }
+}
+
+function requestPhoneOtp() {
+    if (window.playerRegistration) {
+        window.playerRegistration.requestPhoneOtp();
+    }
+}
+
+function confirmPhoneOtp() {
+    if (window.playerRegistration) {
+        window.playerRegistration.confirmPhoneOtp();
+    }
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🏏 IDCS Registration System Loading...');